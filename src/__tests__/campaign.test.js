@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Campaign, _timeUntilCallingHours } from '../campaign.js';
+import { Timeout } from '../utils/timeout.js';
+
+// Fake script, which answers according to the contact's scripted outcomes, one per attempt
+function fakeScript(log = []) {
+    let active = 0;
+    const script = async contact => {
+        active++;
+        script.maxActive = Math.max(script.maxActive, active);
+        log.push({ to: contact.to, time: Date.now() });
+        await new Timeout(20).wait();
+        const [outcome, reason] = contact.script.split(';')[contact.attempts - 1].split(':');
+        if (outcome === 'throw') throw new Error(reason);
+        contact.outcome = outcome;
+        if (reason) contact.reason = reason;
+        active--;
+    };
+    script.maxActive = 0;
+    return script;
+}
+
+describe('Campaign', () => {
+    test('Busy and unanswered calls are retried, up to maxAttempts', async () => {
+        const contacts = [
+            { to: '+1', script: 'no answer:busy;confirmed' },
+            { to: '+2', script: 'no answer:no-answer;no answer:busy;no answer:busy' },
+            { to: '+3', script: 'no answer:failed' },
+            { to: '+4', script: 'hung up' },
+        ];
+        const results = [];
+        const campaign = new Campaign(contacts, fakeScript(), 
+            { concurrency: 2, callsPerSecond: 1000, retryDelay: 10, onResult: contact => results.push(contact.to) });
+        await campaign.run();
+        expect(contacts.map(contact => [contact.outcome, contact.attempts])).toEqual([
+            ['confirmed', 2], ['no answer', 3], ['no answer', 1], ['hung up', 1]
+        ]);
+        expect(results.sort()).toEqual(['+1', '+2', '+3', '+4']);
+        expect(campaign.summary()).toEqual({ 'confirmed': 1, 'no answer': 2, 'hung up': 1 });
+    });
+
+    test('Concurrency and calls per second are limited', async () => {
+        const log = [];
+        const script = fakeScript(log);
+        const contacts = Array.from({ length: 6 }, (_, i) => ({ to: `+${i}`, script: 'confirmed' }));
+        const start = Date.now();
+        await new Campaign(contacts, script, { concurrency: 2, callsPerSecond: 50 }).run();
+        expect(script.maxActive).toBe(2);
+        log.forEach((entry, i) => expect(entry.time - start).toBeGreaterThanOrEqual(i * 20 - 1));
+    });
+
+    test('Script errors are reported as failures', async () => {
+        const contacts = [{ to: '+1', script: 'throw:Invalid number' }];
+        await new Campaign(contacts, fakeScript()).run();
+        expect(contacts[0]).toMatchObject({ outcome: 'failed', reason: 'Invalid number', attempts: 1 });
+    });
+
+    test('Report from a CSV file', async () => {
+        const file = path.join(os.tmpdir(), `pvtk-campaign-${process.pid}.csv`);
+        await fs.writeFile(file, 'to,name,script\n+1,Alice,no answer:busy;confirmed\n+2,"Bob, Jr",canceled\n');
+        try {
+            const campaign = await Campaign.fromCsv(file, fakeScript(), { retryDelay: 10, callsPerSecond: 1000 });
+            await campaign.run();
+            expect(campaign.report()).toBe(
+                'to,name,script,attempts,outcome\n' +
+                '+1,Alice,no answer:busy;confirmed,2,confirmed\n' +
+                '+2,"Bob, Jr",canceled,1,canceled\n');
+        } finally {
+            await fs.rm(file, { force: true });
+        }
+    });
+
+    test('Contact with an unknown timezone fails', async () => {
+        const contacts = [{ to: '+1', script: 'confirmed', timezone: 'Mars/Olympus_Mons' }];
+        await new Campaign(contacts, fakeScript(), { callingHours: { start: '00:00', end: '24:00' } }).run();
+        expect(contacts[0]).toMatchObject({ outcome: 'failed', reason: 'Unknown timezone Mars/Olympus_Mons' });
+    });
+
+    test('Contact whose slot frees up after calling hours waits for the next day', async () => {
+        jest.useFakeTimers({ now: new Date('2024-03-13T23:59:59Z') });     // Wednesday 19:59:59 in New York
+        try {
+            const log = [];
+            const contacts = [
+                { to: '+1', script: 'confirmed' },
+                { to: '+2', script: 'confirmed' },
+            ];
+            const answer = fakeScript(log);
+            const script = async contact => {
+                if (contact.to === '+1') await new Timeout(2000).wait();     // Holds the slot until after 20:00
+                await answer(contact);
+            };
+            const done = new Campaign(contacts, script, {
+                concurrency: 1,
+                callingHours: { start: '09:00', end: '20:00' },
+                timezone: 'America/New_York',
+            }).run();
+            await jest.advanceTimersByTimeAsync(14 * 60 * 60 * 1000);
+            await done;
+            expect(log.map(entry => entry.to)).toEqual(['+1', '+2']);
+            expect(log[1].time).toBeGreaterThanOrEqual(Date.parse('2024-03-14T13:00:00Z'));  // Thursday 09:00
+            expect(contacts.map(contact => [contact.outcome, contact.attempts])).toEqual([
+                ['confirmed', 1], ['confirmed', 1]
+            ]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('Invalid options', () => {
+        expect(() => new Campaign([], fakeScript(), { concurrency: 0 })).toThrow(TypeError);
+        expect(() => new Campaign([], fakeScript(), { timezone: 'Nowhere' })).toThrow(TypeError);
+        expect(() => new Campaign([], fakeScript(), { callingHours: { start: '9am', end: '5pm' } })).toThrow(TypeError);
+        expect(() => new Campaign([], fakeScript(), { callingHours: { start: '09:00', end: '17:00', days: [] } }))
+            .toThrow(TypeError);
+    });
+});
+
+describe('Calling hours', () => {
+    const hours = { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] };
+    const minutes = 60000;
+
+    test('Within calling hours', () => {
+        // Wednesday 12:00 in New York
+        expect(_timeUntilCallingHours(new Date('2024-03-13T16:00:00Z'), hours, 'America/New_York')).toBe(0);
+    });
+
+    test('Before calling hours', () => {
+        // Wednesday 08:30 in New York
+        expect(_timeUntilCallingHours(new Date('2024-03-13T12:30:00Z'), hours, 'America/New_York'))
+            .toBe(30 * minutes);
+    });
+
+    test('After calling hours, on a Friday, waits for Monday', () => {
+        // Friday 21:00 in London, so Monday 09:00 is 2 days and 12 hours later
+        expect(_timeUntilCallingHours(new Date('2024-01-12T21:00:00Z'), hours, 'Europe/London'))
+            .toBe((2 * 24 + 12) * 60 * minutes);
+    });
+
+    test('Same instant, different timezones', () => {
+        const date = new Date('2024-03-13T14:00:00Z');      // 10:00 in New York, 23:00 in Tokyo
+        expect(_timeUntilCallingHours(date, hours, 'America/New_York')).toBe(0);
+        expect(_timeUntilCallingHours(date, hours, 'Asia/Tokyo')).toBe(10 * 60 * minutes);
+    });
+});
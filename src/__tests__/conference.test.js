@@ -0,0 +1,86 @@
+import express from 'express';
+import { createRouter, Call, CallEndedException } from '../call.js';
+import { Conference } from '../conference.js';
+import { Simulator, FarEnd } from '../utils/simulator.js';
+
+const port = 3011;
+const to = '+16175551234';
+const from = '+16175550000';
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(await createRouter({ client: sim.client, baseUrl: sim.serverUrl, authToken: sim.authToken }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+describe('Simulated conferences', () => {
+    test('Participants join, are muted and kicked, and the conference empties out', async () => {
+        const conference = new Conference('MyConf');
+        expect(Conference.find('MyConf')).toBe(conference);
+        expect(() => new Conference('MyConf')).toThrow(Error);
+
+        sim.onCall(to, new FarEnd().answer().stayInConference(500));
+        const call = await Call.makeCall(to, from);
+        conference.join(call, { startConferenceOnEnter: true });
+        const hungUp = expect(call.sendResponse()).rejects.toThrow(CallEndedException);
+        let event = await conference.nextEvent('participant-join');
+        expect(event.callSid).toBe(call.sid);
+        expect(sim.lastCall.responses[0]).toMatch(
+            /<Conference statusCallbackEvent="start end join leave mute hold modify" startConferenceOnEnter="true" statusCallback="http:\/\/localhost:3011\/conference">MyConf<\/Conference>/);
+
+        const guestSid = await conference.addParticipant('+16175554321', from, { label: 'guest' });
+        event = await conference.nextEvent('participant-join');
+        expect(event.label).toBe('guest');
+        expect(conference.status).toBe('in-progress');
+        expect(conference.participants.size).toBe(2);
+
+        await conference.mute(guestSid);
+        expect(conference.lastEvent.event).toBe('participant-mute');
+        expect(conference.participants.get(guestSid).muted).toBe(true);
+        await conference.hold(call);
+        expect(conference.participants.get(call.sid).hold).toBe(true);
+
+        await conference.kick(guestSid);
+        expect(conference.participants.has(guestSid)).toBe(false);
+
+        await conference.waitForEnd();         // The first participant hangs up
+        await hungUp;
+        expect(conference.status).toBe('completed');
+        expect(conference.participants.size).toBe(0);
+        expect(Conference.find('MyConf')).toBeUndefined();
+    });
+
+    test('Script continues after the conference is ended', async () => {
+        const conference = new Conference('Standup');
+        sim.onCall(to, new FarEnd().answer());
+        const call = await Call.makeCall(to, from);
+        conference.join(call);
+        const left = call.sendResponse();
+        await conference.nextEvent('conference-start');
+        await conference.end();
+        await left;
+        expect(conference.status).toBe('completed');
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Waiting for a conference is aborted', async () => {
+        const conference = new Conference('Empty');
+        await expect(conference.nextEvent('conference-start', { signal: AbortSignal.timeout(20) }))
+            .rejects.toMatchObject({ name: 'TimeoutError' });
+        await expect(conference.waitForEnd({ signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('Controlling a conference before it has started', async () => {
+        const conference = new Conference('NotYet');
+        await expect(conference.mute('CA00000000000000000000000000000000')).rejects.toThrow(Error);
+        await expect(conference.addParticipant(to, from, { conferenceStatusCallback: 'https://someUrl' }))
+            .rejects.toThrow(TypeError);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+import express from 'express';
+import { createRouter } from '../call.js';
+import { Flow, FlowValidationError } from '../flow.js';
+import { Simulator, FarEnd } from '../utils/simulator.js';
+
+const port = 3006;
+const to = '+16175551234';
+const from = '+16175550000';
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+const reminder = `
+name: reminder
+widgets:
+  - name: call
+    type: make-call
+    to: "{{variables.to}}"
+    from: "${from}"
+    next: lookup
+  - name: lookup
+    type: http-request
+    url: http://localhost:${port}/patients/{{variables.patient}}
+    next: greet
+    failed: goodbye
+  - name: greet
+    type: say
+    text: Hello {{widgets.lookup.body.name}}.
+    next: ask
+  - name: ask
+    type: gather
+    prompt: Press 1 to confirm, or 2 to cancel.
+    attributes: { numDigits: 1 }
+    next: route
+    noInput: goodbye
+  - name: route
+    type: split-on-digits
+    cases: { "1": confirmed, "2": canceled }
+    default: ask
+  - name: confirmed
+    type: set-variable
+    variables: { outcome: confirmed, confirmedBy: "{{call.to}}" }
+    next: goodbye
+  - name: canceled
+    type: function
+    function: cancel
+  - name: goodbye
+    type: say
+    text: Goodbye.
+`;
+
+const cancel = async (call, context) => {
+    context.variables.outcome = 'canceled';
+    return 'goodbye';
+};
+
+beforeAll(async () => {
+    const app = express();
+    app.get('/patients/:id', (request, response) => response.json({ id: request.params.id, name: 'Alice' }));
+    app.get('/slow', (request, response) => response.type('json').write('{'));
+    app.use(await createRouter({ client: sim.client, baseUrl: sim.serverUrl, authToken: sim.authToken }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+describe('Flow validation', () => {
+    test('Valid flow', () => {
+        const flow = Flow.parse(reminder, { functions: { cancel } });
+        expect(flow.name).toBe('reminder');
+        expect(flow.start).toBe('call');
+    });
+
+    test('JSON is accepted', () => {
+        const flow = Flow.parse(JSON.stringify({ start: 'b', widgets: [
+            { name: 'a', type: 'hangup' }, { name: 'b', type: 'say', text: 'Hi', next: 'a' }
+        ]}));
+        expect(flow.start).toBe('b');
+    });
+
+    test('All problems are reported', () => {
+        const definition = { name: 'broken', start: 'nowhere', widgets: [
+            { name: 'a', type: 'say', next: 'b' },
+            { name: 'a', type: 'hangup' },
+            { type: 'say', text: 'Hi' },
+            { name: 'c', type: 'jump' },
+            { name: 'd', type: 'split-on-digits', cases: { 1: 'e' }, default: 'a' },
+            { name: 'f', type: 'function', function: 'missing' },
+        ]};
+        let error;
+        try {
+            new Flow(definition);
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(FlowValidationError);
+        expect(error.problems).toEqual([
+            "widget 'a' is defined more than once",
+            'widget 3 has no name',
+            "widget 'a' (say): 'text' is required",
+            "widget 'a': next refers to unknown widget 'b'",
+            "widget 'c': unknown type 'jump'; expected one of say, gather, split-on-digits, dial, make-call, " +
+                'set-variable, http-request, function, hangup',
+            "widget 'd': case '1' refers to unknown widget 'e'",
+            "widget 'f' (function): no function named 'missing' was provided",
+            "start refers to unknown widget 'nowhere'",
+        ]);
+        expect(error.message).toMatch(/^Flow broken is invalid:\n {2}widget 'a' is defined more than once\n/);
+    });
+
+    test('Unparseable text', () => {
+        expect(() => Flow.parse('widgets: [')).toThrow(FlowValidationError);
+        expect(() => Flow.parse('name: empty')).toThrow('the definition must have a list of widgets');
+    });
+});
+
+describe('Flow execution', () => {
+    const flow = Flow.parse(reminder, { functions: { cancel } });
+
+    test('Confirmation, after an invalid keypress', async () => {
+        sim.onCall(to, new FarEnd().answer().press('7').press('1'));
+        const context = await flow.run(undefined, { to, patient: '42' });
+        expect(context.variables).toEqual({ to, patient: '42', outcome: 'confirmed', confirmedBy: to });
+        expect(context.widgets.lookup).toEqual({ status: 200, body: { id: '42', name: 'Alice' } });
+        expect(context.call.status).toBe('completed');
+
+        const responses = (await sim.lastCall.ended).responses;
+        expect(responses).toHaveLength(3);
+        expect(responses[0]).toMatch(/<Say>Hello Alice.<\/Say><Gather numDigits="1"/);
+        expect(responses[2]).toMatch(/<Say>Goodbye.<\/Say><Hangup\/>/);
+    });
+
+    test('Cancellation through a function', async () => {
+        sim.onCall(to, new FarEnd().answer().press('2'));
+        const context = await flow.run(undefined, { to, patient: '42' });
+        expect(context.variables.outcome).toBe('canceled');
+    });
+
+    test('Unanswered call ends the flow', async () => {
+        sim.onCall(to, new FarEnd().ring().noAnswer());
+        const context = await flow.run(undefined, { to, patient: '42' });
+        expect(context.widgets.call).toEqual({ status: 'no-answer' });
+        expect(context.widgets.lookup).toBeUndefined();
+    });
+
+    test('Far end hangs up', async () => {
+        sim.onCall(to, new FarEnd().answer().hangup());
+        const context = await flow.run(undefined, { to, patient: '42' });
+        expect(context.call.status).toBe('completed');
+        expect(context.variables.outcome).toBeUndefined();
+    });
+
+    test('Request which does not complete in time is failed', async () => {
+        const slow = new Flow({ widgets: [
+            { name: 'lookup', type: 'http-request', url: `${sim.serverUrl}/slow`, timeout: 100, failed: 'fallback' },
+            { name: 'fallback', type: 'set-variable', variables: { outcome: 'timed out' } }
+        ]});
+        const context = await slow.run();
+        expect(context.widgets.lookup).toEqual({ error: `Request to ${sim.serverUrl}/slow timed out` });
+        expect(context.variables.outcome).toBe('timed out');
+    });
+
+    test('Endless loop is stopped', async () => {
+        const loop = new Flow({ widgets: [{ name: 'a', type: 'set-variable', variables: {}, next: 'a' }] }, 
+                              { maxSteps: 10 });
+        await expect(loop.run()).rejects.toThrow('exceeded 10 steps');
+    });
+});
@@ -0,0 +1,108 @@
+import express from 'express';
+import { createRouter } from '../call.js';
+import { huntGroup } from '../huntgroup.js';
+import { Simulator, FarEnd } from '../utils/simulator.js';
+
+const port = 3007;
+const from = '+16175550000';
+const alice = { to: '+16175551111', name: 'Alice' };
+const bob = { to: '+16175552222', name: 'Bob' };
+const carol = { to: '+16175553333', name: 'Carol' };
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(await createRouter({ client: sim.client, baseUrl: sim.serverUrl, authToken: sim.authToken }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+const outcomes = result => result.attempts.map(attempt => `${attempt.name}: ${attempt.outcome}`);
+
+describe('Hunt group validation', () => {
+    test('Members and options are checked', async () => {
+        await expect(huntGroup([], { from, message: 'Hi' })).rejects.toThrow('at least one member');
+        await expect(huntGroup([{ name: 'Nobody' }], { from, message: 'Hi' })).rejects.toThrow('number to call');
+        await expect(huntGroup([alice], { from })).rejects.toThrow('from number and a message');
+        await expect(huntGroup([alice], { from, message: 'Hi', strategy: 'random' }))
+            .rejects.toThrow('Unknown hunt group strategy random');
+    });
+});
+
+describe('Sequential hunt groups', () => {
+    test('Members are called in turn until one acknowledges', async () => {
+        sim.onCall(alice.to, new FarEnd().ring().noAnswer());
+        sim.onCall(bob.to, new FarEnd().answer().press('*').press('1'));
+        const result = await huntGroup([alice, bob, carol], { from, message: member => `Hello ${member.name}.` });
+
+        expect(result.acknowledgedBy).toBe(bob);
+        expect(outcomes(result)).toEqual(['Alice: no answer', 'Bob: acknowledged']);
+        expect(result.attempts[0]).toMatchObject({ to: alice.to, tier: 0, status: 'no-answer', reason: 'no-answer' });
+        expect(result.attempts[1].endTime >= result.attempts[1].startTime).toBe(true);
+
+        const responses = (await sim.lastCall.ended).responses;
+        expect(responses).toHaveLength(3);
+        expect(responses[0]).toMatch(/<Say>Hello Bob.<\/Say><Say>Press 1 to acknowledge this message/);
+        expect(responses[2]).toMatch(/<Say>Thank you for responding. Goodbye.<\/Say><Hangup\/>/);
+    });
+
+    test('Higher tiers are called if no-one in the first tier acknowledges', async () => {
+        sim.onCall(alice.to, new FarEnd().answer().silence().silence());
+        sim.onCall(bob.to, new FarEnd().answer().hangup());
+        sim.onCall(carol.to, new FarEnd().answer().speak('acknowledged'));
+        const result = await huntGroup([{ ...carol, tier: 1 }, alice, bob], { from, message: 'Hello.', ackKey: '5' });
+
+        expect(result.acknowledgedBy.name).toBe('Carol');
+        expect(outcomes(result)).toEqual(['Alice: not acknowledged', 'Bob: hung up', 'Carol: acknowledged']);
+        expect(result.attempts[2].tier).toBe(1);
+    });
+
+    test('No-one acknowledges', async () => {
+        sim.onCall(alice.to, new FarEnd().busy());
+        const result = await huntGroup([alice], { from, message: 'Hello.' });
+        expect(result.acknowledgedBy).toBeNull();
+        expect(result.attempts[0]).toMatchObject({ outcome: 'no answer', reason: 'busy', sipCode: '486' });
+    });
+});
+
+describe('Simultaneous hunt groups', () => {
+    test('The first to acknowledge wins, and the other calls are canceled', async () => {
+        sim.onCall(alice.to, new FarEnd().ring(50).answer().press('1'));
+        sim.onCall(bob.to, new FarEnd().answer().press('1'));
+        const onAcknowledged = async (call, member) => {
+            call.say(`Connecting you, ${member.name}.`);
+            call.hangup();
+            await call.sendResponse();
+        };
+        const result = await huntGroup([alice, bob], { from, message: 'Hello.', strategy: 'simultaneous',
+                                                        onAcknowledged });
+
+        expect(result.acknowledgedBy).toBe(bob);
+        expect(outcomes(result)).toEqual(['Alice: canceled', 'Bob: acknowledged']);
+        expect(result.attempts[0].status).toBe('canceled');
+        const bobCall = sim.calls.filter(call => call.to === bob.to).pop();
+        expect((await bobCall.ended).responses.pop()).toMatch(/<Say>Connecting you, Bob.<\/Say><Hangup\/>/);
+    });
+});
+
+describe('Round-robin hunt groups', () => {
+    test('Each hunt starts after the member who last acknowledged', async () => {
+        const options = { from, message: 'Hello.', strategy: 'round-robin', name: 'support' };
+        sim.onCall(alice.to, new FarEnd().answer().press('1'));
+        let result = await huntGroup([alice, bob, carol], options);
+        expect(outcomes(result)).toEqual(['Alice: acknowledged']);
+
+        sim.onCall(bob.to, new FarEnd().busy());
+        sim.onCall(carol.to, new FarEnd().answer().press('1'));
+        result = await huntGroup([alice, bob, carol], options);
+        expect(outcomes(result)).toEqual(['Bob: no answer', 'Carol: acknowledged']);
+
+        sim.onCall(alice.to, new FarEnd().answer().press('1'));
+        result = await huntGroup([alice, bob, carol], options);
+        expect(outcomes(result)).toEqual(['Alice: acknowledged']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+import express from 'express';
+import { createRouter, Call } from '../call.js';
+import { Menu } from '../menu.js';
+import { Simulator, FarEnd } from '../utils/simulator.js';
+
+const port = 3012;
+const to = '+16175551234';
+const from = '+16175550000';
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(await createRouter({ client: sim.client, baseUrl: sim.serverUrl, authToken: sim.authToken }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+describe('Simulated menus', () => {
+    const handled = [];
+    const handler = name => async call => handled.push(name);
+    const billing = new Menu({
+        prompt: 'Press 1 for your balance, or 2 to pay',
+        options: {
+            balance: { dtmf: '1', handler: handler('balance') },
+            payment: { dtmf: '2', speech: ['pay', 'payment'], handler: handler('payment') },
+        },
+    });
+    const main = new Menu({
+        prompt: 'Press 1 for billing, or 2 for support',
+        options: {
+            billing: { dtmf: '1', menu: billing },
+            support: { dtmf: '2', handler: handler('support') },
+        },
+        timeoutMessage: 'Transferring you to an operator',
+        fallback: handler('operator'),
+        maxTries: 2,
+    });
+
+    beforeEach(() => handled.length = 0);
+
+    test('Caller repeats the menu, goes back from a submenu, then chooses an option by speech', async () => {
+        sim.onCall(to, new FarEnd().answer().press('*').press('1').press('#').press('1').speak('I want to pay'));
+        const call = await Call.makeCall(to, from);
+        expect(await main.run(call)).toBe('payment');
+        expect(handled).toEqual(['payment']);
+        call.hangup();
+        await call.sendResponse();
+
+        const responses = sim.lastCall.responses;
+        expect(responses[0]).toMatch(/<Gather finishOnKey="" input="dtmf speech" hints="repeat, say that again, billing, support"/);
+        expect(responses[1]).toMatch(/<Say>Press 1 for billing/);
+        expect(responses[2]).toMatch(/<Say>Press 1 for your balance/);
+        expect(responses[3]).toMatch(/<Say>Press 1 for billing/);
+    });
+
+    test('No valid choice runs the fallback', async () => {
+        sim.onCall(to, new FarEnd().answer().press('9').silence());
+        const call = await Call.makeCall(to, from);
+        expect(await main.run(call)).toBeNull();
+        expect(handled).toEqual(['operator']);
+        call.hangup();
+        await call.sendResponse();
+        expect(sim.lastCall.responses[2]).toMatch(/<Say>Transferring you to an operator<\/Say><Hangup\/>/);
+    });
+
+    test('Invalid menus', () => {
+        expect(() => new Menu({ prompt: 'Hello' })).toThrow(TypeError);
+        expect(() => new Menu({ prompt: 'Hello', options: { a: { dtmf: '1' } } })).toThrow(TypeError);
+        expect(() => new Menu({ prompt: 'Hello', options: { a: { dtmf: '1', menu: {} } } })).toThrow(TypeError);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+import express from 'express';
+import { createRouter, Call } from '../call.js';
+import { sendMessage } from '../message.js';
+import { Simulator, FarEnd } from '../utils/simulator.js';
+
+const port = 3010;
+const to = '+16175551234';
+const from = '+16175550000';
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(await createRouter({ client: sim.client, baseUrl: sim.serverUrl, authToken: sim.authToken }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+describe('Simulated messages', () => {
+    test('Confirmation text is delivered during a call', async () => {
+        sim.onCall(to, new FarEnd().answer().press('1'));
+        const call = await Call.makeCall(to, from);
+        call.gather({ numDigits: 1 }).say('Press 1 to confirm');
+        await call.sendResponse();
+        const message = await call.sendSms(to, 'Your appointment is confirmed');
+        expect(message.sid).toMatch(/^SM/);
+        expect(message.from).toBe(from);
+        expect(message.status).toBe('delivered');
+        expect(sim.messages[sim.messages.length - 1].body).toBe('Your appointment is confirmed');
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Undelivered message', async () => {
+        sim.onMessage(to, 'undelivered', 30003);
+        const message = await sendMessage(to, from, 'Hello');
+        expect(message.status).toBe('undelivered');
+        expect(message.errorCode).toBe('30003');
+    });
+
+    test('Aborted message is not sent', async () => {
+        const sent = sim.messages.length;
+        await expect(sendMessage(to, from, 'Hello', { signal: AbortSignal.abort() }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        expect(sim.messages).toHaveLength(sent);
+    });
+
+    test('Message options are sanitized', async () => {
+        await expect(sendMessage(to, from, 'Hello', { statusCallback: 'https://someUrl' })).rejects.toThrow(TypeError);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+import express from 'express';
+import { createRouter, Call } from '../call.js';
+import { Queue } from '../queue.js';
+import { Simulator, FarEnd } from '../utils/simulator.js';
+import { Timeout } from '../utils/timeout.js';
+
+const port = 3009;
+const to = '+16175551234';
+const from = '+16175550000';
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+beforeAll(async () => {
+    const app = express();
+    app.use(await createRouter({ client: sim.client, baseUrl: sim.serverUrl, authToken: sim.authToken }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    server.close(done);
+});
+
+describe('Simulated queues', () => {
+    async function waitScript(wait) {
+        while (wait.waiting) {
+            wait.say(`You are number ${wait.queuePosition} in the queue`);
+            wait.pause({ length: 5 });
+            await wait.sendResponse();
+        }
+    }
+
+    test('Caller waits, then is bridged', async () => {
+        sim.onCall(to, new FarEnd().answer().queueResult('bridged', 2));
+        const call = await Call.makeCall(to, from);
+        call.enqueue('support', { waitScript });
+        await call.sendResponse();
+        expect(call.queueResult).toBe('bridged');
+        expect(call.queueSid).toMatch(/^QU/);
+        expect(call.queueTime).toBeDefined();
+        expect(sim.lastCall.responses[0]).toMatch(
+            /<Enqueue waitUrl="http:\/\/localhost:3009\/wait" action="http:\/\/localhost:3009\/webhook">support<\/Enqueue>/);
+        expect(sim.lastCall.waitResponses).toHaveLength(2);
+        expect(sim.lastCall.waitResponses[0]).toMatch(/<Say>You are number 1 in the queue<\/Say>/);
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Wait script makes the caller leave the queue', async () => {
+        sim.onCall(to, new FarEnd().answer().waitInQueue());
+        const call = await Call.makeCall(to, from);
+        call.enqueue('support', { 
+            waitScript: async wait => {
+                wait.say('Please hold');
+                await wait.sendResponse();
+                wait.say('Sorry, no-one is available');
+                wait.leave();
+                await wait.sendResponse();
+            }
+        });
+        await call.sendResponse();
+        expect(call.queueResult).toBe('leave');
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Wait script stops waiting when aborted', async () => {
+        sim.onCall(to, new FarEnd().answer().queueResult('bridged', 2));
+        const call = await Call.makeCall(to, from);
+        let aborted;
+        call.enqueue('support', { 
+            waitScript: async wait => {
+                wait.say('Please hold');
+                await wait.sendResponse({ signal: AbortSignal.abort() }).catch(err => aborted = err.name);
+            }
+        });
+        await call.sendResponse();
+        expect(aborted).toBe('AbortError');
+        expect(call.queueResult).toBe('bridged');
+        expect(sim.lastCall.waitResponses[0]).toMatch(/<Say>Please hold<\/Say>/);
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Caller is dequeued back to the script', async () => {
+        const queue = await Queue.create('sales', 10);
+        expect((await Queue.find('sales')).sid).toBe(queue.sid);
+
+        sim.onCall(to, new FarEnd().answer().waitInQueue());
+        const call = await Call.makeCall(to, from);
+        call.enqueue('sales', { waitScript });
+        const dequeued = call.sendResponse();
+
+        let members = [];
+        while (members.length === 0) {
+            await new Timeout(5).wait();
+            members = await queue.members();
+        }
+        expect(members[0].callSid).toBe(call.sid);
+        expect(await queue.dequeue()).toBe(call.sid);
+        await dequeued;
+        expect(call.queueResult).toBe('dequeued');
+        expect(await queue.members()).toHaveLength(0);
+
+        call.dial('+16175554321');
+        await call.sendResponse();
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Unknown queue', async () => {
+        await expect(Queue.find('nonexistent')).rejects.toThrow(Error);
+    });
+});
\ No newline at end of file
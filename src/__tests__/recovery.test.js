@@ -0,0 +1,76 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Twilio from 'twilio';
+import { setup, shutDown } from '../call.js';
+import { FileStore } from '../utils/store.js';
+
+const port = 3003;
+const serverUrl = `http://localhost:${port}`;
+const authToken = 'test_auth_token';
+const sid = 'CA00000000000000000000000000000000';
+let directory;
+let store;
+let recovered;
+
+function recoveryScript(call) {
+    if (call.digits === '0') {
+        throw new Error('Unable to resume');        // Thrown before the script is under way
+    }
+    return resume(call);
+}
+
+async function resume(call) {
+    recovered = call;
+    call.say(`Welcome back. You pressed ${call.digits}`);
+    call.hangup();
+    await call.sendFinalResponse();
+}
+
+function post(urlPath, params) {
+    const signature = Twilio.getExpectedTwilioSignature(authToken, serverUrl + urlPath, params);
+    return fetch(serverUrl + urlPath, { 
+        method: 'POST', 
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature }, 
+        body: new URLSearchParams(params) 
+    });
+}
+
+beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'pvtk-recovery-'));
+    store = new FileStore(directory);
+    await store.set(sid, { 
+        properties: { sid, to: '+16175551234', from: '+16175550000', status: 'in-progress' }, 
+        childCalls: [{ dialCallStatus: 'busy' }] 
+    });
+    return setup({ client: {}, serverUrl, port, authToken, store, recoveryScript });
+});
+
+afterAll(async () => {
+    await new Promise(fulfill => shutDown(fulfill));
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+describe('Call recovery', () => {
+    test('Webhook for an unknown call runs the recovery script with the saved state', async () => {
+        const response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '5' });
+        expect(await response.text()).toMatch(/<Say>Welcome back. You pressed 5<\/Say><Hangup\/>/);
+        expect(recovered.to).toBe('+16175551234');
+        expect(recovered.childCalls).toEqual([{ dialCallStatus: 'busy' }]);
+        expect(recovered.eventSource).toBe('webhook');
+        expect((await store.get(sid)).properties.digits).toBe('5');
+    });
+
+    test('Recovery script which throws is answered by the error script', async () => {
+        const failedSid = 'CA00000000000000000000000000000001';
+        const response = await post('/webhook', { CallSid: failedSid, CallStatus: 'in-progress', Digits: '0' });
+        expect(response.status).toBe(200);
+        expect(await response.text()).toMatch(/<Say>We're sorry, we are experiencing difficulties.*<Hangup\/>/);
+    });
+
+    test('Final status callback removes the call from the store', async () => {
+        const response = await post('/status', { CallSid: sid, CallStatus: 'completed' });
+        expect(response.status).toBe(204);
+        expect(await store.get(sid)).toBeUndefined();
+    });
+});
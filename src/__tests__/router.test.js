@@ -0,0 +1,225 @@
+import express from 'express';
+import Twilio from 'twilio';
+import { createRouter, attachStreams, getUrl } from '../call.js';
+import { Timeout } from '../utils/timeout.js';
+
+const port = 3005;
+const baseUrl = `http://localhost:${port}/twilio`;
+const authToken = 'test_auth_token';
+let server;
+let streamServer;
+const stopped = {};         // Errors with which scripts were stopped by a fallback, indexed by call SID
+
+async function errorScript(call, err) {
+    call.say(`Sorry: ${err?.message ?? err}`);
+    call.hangup();
+    await call.sendResponse();
+}
+
+async function waitScript(wait) {
+    await new Timeout(300).wait();              // Slower than the response deadline
+    wait.say('Please hold');
+    await wait.sendResponse();
+    throw new Error('Hold music not found');
+}
+
+function script(call) {
+    if (call.to === '+16175550666') {
+        throw new Error('No script for this number');     // Thrown before the script is under way
+    }
+    return conversation(call);
+}
+
+async function conversation(call) {
+    call.gather({ input: 'dtmf' }).say('Press a key');
+    await call.sendResponse().catch(err => {
+        stopped[call.sid] = [err.message];
+        throw err;
+    });
+    if (call.digits === '8') {
+        call.enqueue('support', { waitScript });
+        await call.sendResponse();
+    } else if (call.digits === '9') {
+        await new Timeout(500).wait();          // A slow database lookup, say
+    } else if (call.digits === '5') {
+        await new Timeout(300).wait();          // Twilio gives up on the webhook meanwhile
+        call.say('Too late');
+        await call.sendResponse().catch(err => stopped[call.sid] = [err.message]);
+        return;
+    } else if (call.digits === '4') {
+        throw undefined;                        // Scripts may reject with any value
+    } else if (call.digits === '0') {
+        throw new Error('Database is down');
+    }
+    call.say(`You pressed ${call.digits}`);
+    call.hangup();
+    await call.sendFinalResponse();
+}
+
+function post(urlPath, params) {
+    const signature = Twilio.getExpectedTwilioSignature(authToken, baseUrl + urlPath, params);
+    return fetch(baseUrl + urlPath, { 
+        method: 'POST', 
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature }, 
+        body: new URLSearchParams(params) 
+    });
+}
+
+beforeAll(async () => {
+    const app = express();
+    app.get('/health', (request, response) => response.send('OK'));
+    app.use('/twilio', await createRouter({ client: {}, baseUrl, authToken, script, errorScript, responseDeadline: 200 }));
+    server = app.listen(port);
+    streamServer = attachStreams(server);
+});
+
+afterAll((done) => {
+    streamServer.close();
+    server.close(done);
+});
+
+describe('Mounted router', () => {
+    test('URLs are under the base URL', () => {
+        expect(getUrl('webhook')).toBe(baseUrl + '/webhook');
+        expect(getUrl('stream')).toBe(`ws://localhost:${port}/twilio/stream`);
+    });
+
+    test('Host application routes are unaffected', async () => {
+        const response = await fetch(`http://localhost:${port}/health`);
+        expect(await response.text()).toBe('OK');
+    });
+
+    test('Script runs through the mounted webhooks', async () => {
+        const sid = 'CA00000000000000000000000000000000';
+        let response = await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        expect(await response.text()).toMatch(`<Gather input="dtmf" action="${baseUrl}/webhook">`);
+        response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '7' });
+        expect(await response.text()).toMatch(/<Say>You pressed 7<\/Say><Hangup\/>/);
+    });
+
+    test('Signature for the unmounted URL is rejected', async () => {
+        const params = { CallSid: 'CA01', CallStatus: 'completed' };
+        const signature = Twilio.getExpectedTwilioSignature(authToken, `http://localhost:${port}/status`, params);
+        const response = await fetch(baseUrl + '/status', { 
+            method: 'POST', 
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature }, 
+            body: new URLSearchParams(params) 
+        });
+        expect(response.status).toBe(403);
+    });
+
+    test('Health check and metrics are served without a signature', async () => {
+        const health = await (await fetch(baseUrl + '/healthz')).json();
+        expect(health).toMatchObject({ status: 'ok', activeCalls: expect.any(Number) });
+
+        await post('/status', { CallSid: 'CA02', CallStatus: 'completed' });
+        const response = await fetch(baseUrl + '/metrics');
+        expect(response.headers.get('content-type')).toMatch(/^text\/plain/);
+        const text = await response.text();
+        expect(text).toMatch(/^# HELP pvtk_active_calls Calls in progress\n# TYPE pvtk_active_calls gauge\n/);
+        expect(text).toMatch(/^pvtk_orphaned_callbacks_total{route="\/status"} 1$/m);
+        expect(text).toMatch(/^pvtk_webhook_duration_seconds_count 2$/m);
+    });
+
+    test('Slow script is held until its TwiML is ready', async () => {
+        const sid = 'CA00000000000000000000000000000003';
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        let response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '9' });
+        expect(await response.text()).toMatch(`<Pause length="1"/><Redirect>${baseUrl}/webhook</Redirect>`);
+        response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress' });
+        expect(await response.text()).toMatch(`<Pause length="1"/><Redirect>${baseUrl}/webhook</Redirect>`);
+        response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress' });
+        expect(await response.text()).toMatch(/<Say>You pressed 9<\/Say><Hangup\/>/);
+        expect(await (await fetch(baseUrl + '/metrics')).text()).toMatch(/^pvtk_held_responses_total 2$/m);
+    });
+
+    test('Slow wait script is held, and a failed wait script takes the caller out of the queue', async () => {
+        const sid = 'CA00000000000000000000000000000007';
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        let response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '8' });
+        expect(await response.text()).toMatch(`<Enqueue waitUrl="${baseUrl}/wait"`);
+        const wait = { CallSid: sid, CallStatus: 'in-progress', QueuePosition: '1' };
+        response = await post('/wait', wait);
+        expect(await response.text()).toMatch(/<Response><Pause length="1"\/><\/Response>/);
+        response = await post('/wait', wait);
+        expect(await response.text()).toMatch(/<Say>Please hold<\/Say>/);
+        response = await post('/wait', wait);
+        expect(await response.text()).toMatch(/<Pause length="1"\/><Leave\/>/);
+        response = await post('/wait', wait);
+        expect(await response.text()).toMatch(/<Pause length="1"\/><Leave\/>/);
+    });
+
+    test('Error script responds when the script fails', async () => {
+        const sid = 'CA00000000000000000000000000000004';
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        const response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '0' });
+        expect(await response.text()).toMatch(/<Say>Sorry: Database is down<\/Say><Hangup\/>/);
+    });
+
+    test('Error script responds when the script rejects with undefined', async () => {
+        const sid = 'CA00000000000000000000000000000011';
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        const response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '4' });
+        expect(await response.text()).toMatch(/<Say>Sorry: undefined<\/Say><Hangup\/>/);
+        expect(await (await fetch(baseUrl + '/metrics')).text())
+            .toMatch(/^pvtk_script_exceptions_total\{name="undefined"\} 1$/m);
+    });
+
+    test('Error script responds when the script throws before it is under way', async () => {
+        const sid = 'CA00000000000000000000000000000009';
+        const response = await post('/inbound', { CallSid: sid, CallStatus: 'ringing', To: '+16175550666' });
+        expect(response.status).toBe(200);
+        expect(await response.text()).toMatch(/<Say>Sorry: No script for this number<\/Say><Hangup\/>/);
+    });
+
+    test('Error script responds to a fallback', async () => {
+        const sid = 'CA00000000000000000000000000000005';
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        const response = await post('/fallback', 
+            { CallSid: sid, CallStatus: 'in-progress', ErrorCode: '11200', ErrorUrl: baseUrl + '/webhook' });
+        expect(await response.text())
+            .toMatch(`<Say>Sorry: Webhook ${baseUrl}/webhook failed with error 11200</Say><Hangup/>`);
+    });
+
+    test('Fallback stops the script that was waiting for a webhook', async () => {
+        const sid = 'CA00000000000000000000000000000005';
+        expect(stopped[sid]).toEqual([`Webhook ${baseUrl}/webhook failed with error 11200`]);
+    });
+
+    test('Fallback stops a slow script from responding later', async () => {
+        const sid = 'CA00000000000000000000000000000008';
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        let response = await post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '5' });
+        expect(await response.text()).toMatch(/<Pause length="1"\/><Redirect>/);
+        response = await post('/fallback', 
+            { CallSid: sid, CallStatus: 'in-progress', ErrorCode: '11205', ErrorUrl: baseUrl + '/webhook' });
+        expect(await response.text()).toMatch(/<Say>Sorry: Webhook .* failed with error 11205<\/Say><Hangup\/>/);
+        await new Timeout(300).wait();
+        expect(stopped[sid]).toEqual([`Webhook ${baseUrl}/webhook failed with error 11205`]);
+    });
+
+    test('Fallback stops the deadline of the webhook that Twilio gave up on', async () => {
+        const sid = 'CA00000000000000000000000000000010';
+        const heldResponses = async () => 
+            (await (await fetch(baseUrl + '/metrics')).text()).match(/^pvtk_held_responses_total (\d+)$/m)[1];
+        await post('/inbound', { CallSid: sid, CallStatus: 'ringing' });
+        const held = await heldResponses();
+        const webhook = post('/webhook', { CallSid: sid, CallStatus: 'in-progress', Digits: '5' });
+        await new Timeout(50).wait();
+        const response = await post('/fallback', 
+            { CallSid: sid, CallStatus: 'in-progress', ErrorCode: '11200', ErrorUrl: baseUrl + '/webhook' });
+        expect(await response.text()).toMatch(/<Say>Sorry: Webhook .* failed with error 11200<\/Say><Hangup\/>/);
+        expect((await webhook).status).toBe(204);
+        await new Timeout(300).wait();
+        expect(await heldResponses()).toBe(held);
+    });
+
+    test('Fallback for an unknown call apologizes and hangs up', async () => {
+        const response = await post('/fallback', { CallSid: 'CA06', CallStatus: 'in-progress', ErrorCode: '11200' });
+        expect(await response.text()).toMatch(/<Say>We're sorry, we are experiencing difficulties.*<Hangup\/>/);
+    });
+
+    test('baseUrl is required', async () => {
+        await expect(createRouter({ client: {}, authToken })).rejects.toThrow(TypeError);
+    });
+});
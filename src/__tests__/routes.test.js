@@ -0,0 +1,142 @@
+import Twilio from 'twilio';
+import { setup, shutDown, Call } from '../call.js';
+
+const port = 3004;
+const serverUrl = `http://localhost:${port}`;
+const authToken = 'test_auth_token';
+const otherAuthToken = 'other_auth_token';
+const subaccountAuthToken = 'subaccount_auth_token';
+const provisioned = {};
+
+// Fake client which records the voice URL of each provisioned number, and the messages it sends
+function fakeClient(callSid) {
+    const calls = { create: async params => ({ sid: callSid, to: params.to, from: params.from, status: 'queued' }) };
+    const sent = [];
+    const messages = { create: async params => { sent.push(params); return { sid: 'SM01', status: 'queued' }; } };
+    const incomingPhoneNumbers = sid => ({
+        update: async params => {
+            provisioned[sid] = params.voiceUrl;
+            return { friendlyName: sid, voiceUrl: params.voiceUrl };
+        }
+    });
+    incomingPhoneNumbers.list = async params => [{ sid: params.phoneNumber }];
+    return { incomingPhoneNumbers, messages, sent, calls };
+}
+
+function script(greeting) {
+    return async call => {
+        call.say(greeting);
+        call.hangup();
+        await call.sendFinalResponse();
+    };
+}
+
+function post(urlPath, params, token=authToken) {
+    const signature = Twilio.getExpectedTwilioSignature(token, serverUrl + urlPath, params);
+    return fetch(serverUrl + urlPath, { 
+        method: 'POST', 
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature }, 
+        body: new URLSearchParams(params) 
+    });
+}
+
+const mainClient = fakeClient();
+const otherClient = fakeClient();
+
+beforeAll(() => {
+    return setup({ 
+        client: mainClient, 
+        serverUrl, 
+        port, 
+        authToken, 
+        script: script('Default'),
+        routes: [
+            { name: 'conference', script: script('Conference line'), phoneNumber: '+16175550001' },
+            { 
+                name: 'spoofcheck', 
+                script: script('Spoof check line'), 
+                path: '/spoofcheck', 
+                phoneNumber: '+16175550002', 
+                client: otherClient, 
+                authToken: otherAuthToken 
+            },
+            { 
+                name: 'sms', 
+                script: async call => {
+                    call.sendSms('+16175551234', 'Thanks for calling');
+                    await script('SMS line')(call);
+                }, 
+                path: '/sms', 
+                client: otherClient, 
+                authToken: otherAuthToken 
+            },
+        ]
+    });
+});
+
+afterAll((done) => {
+    shutDown(done);
+});
+
+describe('Inbound routes', () => {
+    test('Route phone numbers are provisioned with their webhooks', () => {
+        expect(provisioned['+16175550001']).toBe(serverUrl + '/inbound');
+        expect(provisioned['+16175550002']).toBe(serverUrl + '/spoofcheck/inbound');
+    });
+
+    test('Call is routed by called number', async () => {
+        const response = await post('/inbound', { CallSid: 'CA01', To: '+16175550001', CallStatus: 'ringing' });
+        expect(await response.text()).toMatch(/<Say>Conference line<\/Say>/);
+    });
+
+    test('Call is routed by path, using the route\'s auth token', async () => {
+        const params = { CallSid: 'CA02', To: '+16175559999', CallStatus: 'ringing' };
+        const response = await post('/spoofcheck/inbound', params, otherAuthToken);
+        expect(await response.text()).toMatch(/<Say>Spoof check line<\/Say>/);
+    });
+
+    test('Requests for a route\'s account must be signed with the route\'s auth token', async () => {
+        const params = { CallSid: 'CA05', To: '+16175559999', CallStatus: 'ringing' };
+        expect((await post('/spoofcheck/inbound', params)).status).toBe(403);
+        expect((await post('/spoofcheck/inbound', params, otherAuthToken)).status).toBe(200);
+        const status = { CallSid: 'CA05', CallStatus: 'completed' };
+        expect((await post('/status', status)).status).toBe(403);
+        expect((await post('/status', status, otherAuthToken)).status).not.toBe(403);
+    });
+
+    test('Messages sent by a call use the call\'s client', async () => {
+        const params = { CallSid: 'CA06', To: '+16175550003', From: '+16175559999', CallStatus: 'ringing' };
+        const response = await post('/sms/inbound', params, otherAuthToken);
+        expect(await response.text()).toMatch(/<Say>SMS line<\/Say>/);
+        expect(otherClient.sent).toEqual([expect.objectContaining({ to: '+16175551234', body: 'Thanks for calling' })]);
+        expect(mainClient.sent).toEqual([]);
+    });
+
+    test('Outbound call on an account with no route is validated with that account\'s auth token', async () => {
+        const sid = 'CA07';
+        const subaccountClient = fakeClient(sid);
+        const made = Call.makeCall('+16175551234', '+16175550004', 
+            { client: subaccountClient, authToken: subaccountAuthToken });
+        await new Promise(setImmediate);            // The call is created
+        const params = { CallSid: sid, CallStatus: 'in-progress' };
+        expect((await post('/webhook', params)).status).toBe(403);
+        const response = post('/webhook', params, subaccountAuthToken);
+        const call = await made;
+        call.say('Goodbye');
+        call.hangup();
+        call.sendFinalResponse();
+        expect(await (await response).text()).toMatch(/<Say>Goodbye<\/Say><Hangup\/>/);
+        expect(() => Call.makeCall('+16175551234', '+16175550004', { authToken: subaccountAuthToken }))
+            .toThrow(TypeError);
+    });
+
+    test('Call to another number uses the default script', async () => {
+        const response = await post('/inbound', { CallSid: 'CA03', To: '+16175559999', CallStatus: 'ringing' });
+        expect(await response.text()).toMatch(/<Say>Default<\/Say>/);
+    });
+
+    test('Unknown path is not found', async () => {
+        const response = await post('/other/inbound', { CallSid: 'CA04', To: '+16175559999', CallStatus: 'ringing' });
+        expect(response.status).toBe(404);
+    });
+});
@@ -0,0 +1,46 @@
+import Twilio from 'twilio';
+import { setup, shutDown } from '../call.js'
+
+const port = 3001;
+const serverUrl = `http://localhost:${port}`;
+const authToken = 'test_auth_token';
+const params = { CallSid: 'CA00000000000000000000000000000000', CallStatus: 'completed' };
+
+function post(path, params, signature) {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (signature) headers['X-Twilio-Signature'] = signature;
+    return fetch(serverUrl + path, { method: 'POST', headers, body: new URLSearchParams(params) });
+}
+
+beforeAll(() => {
+    return setup({ client: {}, serverUrl, port, authToken });
+});
+
+afterAll((done) => {
+    shutDown(done);
+});
+
+describe('X-Twilio-Signature validation', () => {
+    test('Valid signature is accepted', async () => {
+        const signature = Twilio.getExpectedTwilioSignature(authToken, serverUrl + '/status', params);
+        const response = await post('/status', params, signature);
+        expect(response.status).toBe(204);
+    });
+
+    test('Missing signature is rejected', async () => {
+        const response = await post('/status', params);
+        expect(response.status).toBe(403);
+    });
+
+    test('Signature for a different URL is rejected', async () => {
+        const signature = Twilio.getExpectedTwilioSignature(authToken, serverUrl + '/webhook', params);
+        const response = await post('/status', params, signature);
+        expect(response.status).toBe(403);
+    });
+
+    test('Signature with tampered parameters is rejected', async () => {
+        const signature = Twilio.getExpectedTwilioSignature(authToken, serverUrl + '/inbound', params);
+        const response = await post('/inbound', { ...params, CallStatus: 'ringing' }, signature);
+        expect(response.status).toBe(403);
+    });
+});
@@ -1,8 +1,9 @@
 /**
  * @module call
  * 
- * @description The call module provides classes for call handling. It also configures and starts an Express web server 
- * to handle the associated webhooks and status callbacks. It primarily provides the following:
+ * @description The call module provides classes for call handling. It also provides an Express router 
+ * to handle the associated webhooks and status callbacks, and can start a web server for it. It primarily provides 
+ * the following:
  * 
  * 1. The Call class, which encapsulates a running call and its state. It wraps a Twilio VoiceResponse object that is
  * used to generate TwiML in response to webhooks.
@@ -11,13 +12,43 @@
  * end has hung up before a script has finished executing.
  * 
  * 3. The setup() function, which is used to configure and start the Express web server.
+ * 
+ * 4. The createRouter() function, which configures the router for mounting in an existing Express application,
+ * leaving the application to start its own server.  setup() is a wrapper around createRouter().
+ * 
+ * The web server also hosts a WebSocket endpoint, '/stream', to receive Media Streams.
+ * Every request to the router is checked for a valid X-Twilio-Signature header, unless signature validation
+ * has been disabled.
+ * 
+ * The properties of each call in progress are saved in a call-state store, so that a call can be handed to a 
+ * recovery script if its webhooks arrive after a restart.
+ * 
+ * Each call keeps a timeline of its events, which may also be written as they happen to an event log.
+ * 
+ * If a script fails with an error other than a CallEndedException while Twilio is waiting for TwiML, or if 
+ * Twilio reports to the '/fallback' URL that a webhook has failed, an error script is run, which by default 
+ * apologizes to the caller and hangs up.
+ * 
+ * The router also serves '/healthz', for health checks, and '/metrics', which reports call and webhook statistics
+ * in the Prometheus text format.  These are not subject to signature validation.
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
 import express from 'express';
 import log from 'loglevel';
+import Twilio from 'twilio';
 import { getTunnelInfo } from './utils/ngrok.js';
-import { getClient } from './utils/client.js';
+import { getClient, getAuthToken } from './utils/client.js';
 import { makeTwiml, _makeTwiml, forbiddenAttributes } from './utils/twiml.js';
+import { MediaStream, attachStreamServer } from './utils/mediastream.js';
+import { AsyncQueue } from './utils/asyncqueue.js';
+import { MemoryStore, isCallSid } from './utils/store.js';
+import { JsonLinesFile, toJsonLines } from './utils/eventlog.js';
+import { Counter, Gauge, Histogram, formatMetrics } from './utils/metrics.js';
+import { Grammar } from './utils/grammar.js';
+import { QueueWait } from './queue.js';
+import { sendMessage, _respondToMessageStatusCallback } from './message.js';
+import { _respondToConferenceStatusCallback } from './conference.js';
 
 const logLevel = process.env.DEBUG;
 log.setLevel(logLevel ? logLevel : 'info');
@@ -25,15 +56,34 @@ log.setLevel(logLevel ? logLevel : 'info');
 const DEFAULT_PORT = 3000;
 
 let client;
+let authToken;              // Used to validate webhook signatures; undefined if validation is disabled
 let server;
+let streamServer;
 let port;
-let serverUrl = '';
+let baseUrl = '';           // Public URL at which the router is mounted
 let webhookUrl = '/webhook'; 
 let dialUrl = '/dial';
 let statusUrl = '/status';
 let inboundUrl = '/inbound';
 let amdUrl = '/amd';
+let recordingStatusUrl = '/recording';
+let streamUrl = '/stream';
+let waitUrl = '/wait';
+let paymentStatusUrl = '/pay';
+let messageStatusUrl = '/message';
+let conferenceStatusUrl = '/conference';
+let partialResultsUrl = '/partial';
+let fallbackUrl = '/fallback';
 let inboundScript;
+let inboundRoutes = [];     // Additional inbound scripts: {name, script, phoneNumber, path, client}
+let accounts = [];          // Other accounts, whose requests are validated with their own auth tokens: {client, authToken}
+let recoveryScript;         // Invoked for a webhook whose call is not in currentCalls; undefined if not configured
+let store = new MemoryStore();
+let eventLog;               // Receives the timeline events of every call; undefined if not configured
+const defaultRedactedParams = ['Digits', 'SpeechResult'];
+let redactParams = defaultRedactedParams;   // Webhook parameters left out of timeline events, or a filter function
+let responseDeadline = 10000;   // Milliseconds to wait for a script's TwiML before holding the call; 0 for no limit
+let holdMusicUrl;           // Played while a call is held; a short pause if not configured
 
 const defaultInboundScript = async function(call) {
     call.say("No inbound call handler has been registered. Goodbye.")
@@ -41,7 +91,71 @@ const defaultInboundScript = async function(call) {
     await call.sendResponse();
 }
 
+const difficultiesMessage = "We're sorry, we are experiencing difficulties. Please try again later. Goodbye.";
+
+const defaultErrorScript = async function(call) {
+    call.say(difficultiesMessage);
+    call.hangup();
+    await call.sendResponse();
+}
+let errorScript = defaultErrorScript;
+
 const currentCalls = {};    // Associative array of current calls, indexed by call SID
+const errorScriptRuns = new AsyncLocalStorage();    // Identifies the error script run after a fallback
+let metricsEnabled = true;  // True if the '/metrics' and '/healthz' endpoints are served
+
+const metrics = {
+    activeCalls: new Gauge('pvtk_active_calls', 'Calls in progress', () => Object.keys(currentCalls).length),
+    calls: new Counter('pvtk_calls_total', 'Calls that have ended, by final status'),
+    webhookDuration: new Histogram('pvtk_webhook_duration_seconds', 
+        'Time from the arrival of a webhook to the sending of its TwiML, in seconds'),
+    orphanedCallbacks: new Counter('pvtk_orphaned_callbacks_total', 
+        'Webhooks and callbacks for calls not found in the current calls, by route'),
+    amdVerdicts: new Counter('pvtk_amd_verdicts_total', 'Answering Machine Detection verdicts'),
+    exceptions: new Counter('pvtk_script_exceptions_total', 
+        'Exceptions raised in scripts, by name, other than CallEndedExceptions'),
+    heldResponses: new Counter('pvtk_held_responses_total', 
+        'Webhooks answered with holding TwiML because the script did not respond in time'),
+};
+
+/*
+ * Removes a call from the current calls and from the call-state store.
+ */
+function removeCall(sid) {
+    delete currentCalls[sid];
+    if (!isCallSid(sid)) return;        // Never stored
+    store.delete(sid).catch(err => log.error('Unable to remove call', sid, 'from the store:', err));
+}
+
+const finalRecordingStatuses = ['completed', 'absent', 'failed'];
+
+/*
+ * Converts the answeredBy property of a call to an AMD verdict: one of ['human', 'machine', 'fax', 'unknown'].
+ */
+function amdVerdict(answeredBy) {
+    if (answeredBy?.startsWith('machine_')) return 'machine';
+    return ['human', 'fax'].includes(answeredBy) ? answeredBy : 'unknown';
+}
+
+/*
+ * Returns a Promise that settles as the given Promise does, unless the signal is aborted first, in which case 
+ * onAbort is called, and the returned Promise is rejected with the signal's reason.  Also used by other toolkit 
+ * modules.
+ */
+export function _abortable(promise, signal, onAbort) {
+    if (!signal) return promise;
+    return new Promise((fulfill, reject) => {
+        const abort = () => {
+            onAbort?.();
+            reject(signal.reason);
+        };
+        promise
+            .finally(() => signal.removeEventListener('abort', abort))
+            .then(fulfill, reject);         // Does nothing once aborted, but handles any later rejection
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort, { once: true });
+    });
+}
 
 
 /**
@@ -67,21 +181,48 @@ export class CallEndedException extends Error {
  * in the script to be executed.
  * 
  * Call properties are derived from the results of an outbound API call, webhooks or status callbacks,
- * with the exceptions of eventSource and childCalls.  The most important ones are listed below. 
+ * with the exceptions of eventSource, childCalls and timeline.  The most important ones are listed below. 
  * A definitive list is returned by the propertyMappings property.  Some properties are only applicable to childCalls.
  */
 export class Call {
     #webhookFulfill;            // Permits the next step in the script to execute
     #webhookReject;             // Called in the event of the other end hanging up prematurely, or some other failure
     #twimlFulfill;              // Called when new TwiML is available to be returned by a webhook
-    #twimlReject;               // Would indicate an internal failure in response to a webhook; not currently used
+    #twimlReject;               // Called if the script fails, so that the error script can respond to the webhook
     #twiml;                     // Wrapped VoiceResponse object, used to generate TwiML
     #scriptContinues = true;    // True when more TwiML is to be returned
+    #callEnded = false;         // True when the final status callback has been received
+    #recordingWaiters = [];     // Promises waiting on recording status callbacks: {fulfill, final}
+    #pendingStreams = [];       // Media streams waiting to be started
+    #waitScript;                // Function to invoke when the caller is waiting in a queue
+    #queueWait;                 // QueueWait object passed to the wait script
+    #paymentWaiters = [];       // Promises waiting on payment status callbacks
+    #amdWaiters = [];           // Promises waiting on an AMD verdict: {fulfill, final, timerId}
+    #machineDetection;          // The machineDetection option with which the call was made, if any
+    #partialResults;            // Queue of partial speech results for the current <Gather>, if requested
+    #lastSequenceNumber = 0;    // Sequence number of the last partial speech result
+    #client;                    // Client used to access the REST API for this call
+    #pendingTwiml;              // Promise of the script's next TwiML, which may outlast several holding responses
+    #waitingWebhook;            // The webhook waiting on #pendingTwiml, and the timer of its deadline: {response, timer}
+    #scriptError;               // {err} with which the script failed, if no webhook was waiting for its TwiML
+    #handledError;              // {err} last passed to handleError(), which may be passed more than once
+    #fallbackError;             // Error with which a fallback stopped the script, which may no longer respond
+    #errorScriptRun;            // Identifies the error script run for the latest fallback, which may respond
 
     /**  Array of dialed (child) calls  */
     childCalls = [];
 
-    /**  The source of the last event that updated the Call properties: ['api', 'webhook', 'status', 'dial', 'incoming']  */
+    /**  
+     * The events in the life of the call, in order, each of the form {time, callSid, type, ...details}, where
+     * type is one of ['created', 'inbound', 'recovered', 'webhook', 'twiml', 'hold', 'status', 'amd', 'dial', 
+     * 'fallback', 'exception', 'aborted'], or a type added by the script with addEvent().  See exportTimeline().
+     */
+    timeline = [];
+
+    /**  
+     * The source of the last event that updated the Call properties: 
+     * ['api', 'webhook', 'status', 'dial', 'inbound', 'asyncAmd', 'recording', 'payment', 'fallback']  
+     */
     eventSource;
 
     /**  The call SID.  See {@link https://support.twilio.com/hc/en-us/articles/223180488-What-is-a-Call-SID-}  */
@@ -176,10 +317,89 @@ export class Call {
      */
     errorMessage;
 
+    /**  The SID of the most recent recording.  */
+    recordingSid;
+
+    /**  The URL of the most recent recording.  Append '.mp3' or '.wav' to choose the format.  */
+    recordingUrl;
+
+    /**  The duration in seconds of the most recent recording.  */
+    recordingDuration;
+
+    /**  
+     * The status of the most recent recording: ['in-progress', 'paused', 'stopped', 'processing', 
+     * 'completed', 'absent', 'failed']
+     * <br>See {@link https://www.twilio.com/docs/voice/api/recording#recordingstatuscallback}
+     */
+    recordingStatus;
+
+    /**  
+     * The reason the caller left a queue: ['bridged', 'bridging-in-process', 'error', 'hangup', 'leave', 
+     * 'redirected', 'redirected-from-bridged', 'queue-full', 'system-shutdown'], or 'dequeued' if removed 
+     * by Queue.dequeue().
+     * <br>See {@link https://www.twilio.com/docs/voice/twiml/enqueue#attributes-action-parameters}
+     */
+    queueResult;
+
+    /**  The SID of the queue the caller was placed in.  */
+    queueSid;
+
+    /**  The time in seconds that the caller spent in the queue.  */
+    queueTime;
+
+    /**  
+     * The result of the most recent &lt;Pay&gt;: ['success', 'too-many-failed-attempts', 'caller-interrupted-with-star',
+     * 'caller-hung-up', 'validation-error', 'internal-error', 'payment-connector-error', 'input-timeout'].
+     * <br>See {@link https://www.twilio.com/docs/voice/twiml/pay#action}
+     */
+    paymentResult;
+
+    /**  The confirmation code returned by the payment connector, if a charge was made.  */
+    paymentConfirmationCode;
+
+    /**  The tokenized card, if a token was requested rather than a charge.  */
+    paymentToken;
+
+    /**  The error reported by the payment connector, if the payment failed.  */
+    paymentError;
+
+    /**  The masked card number entered by the caller.  */
+    paymentCardNumber;
+
+    /**  The type of card entered by the caller, e.g. 'visa'.  */
+    paymentCardType;
+
+    /**  
+     * The payment information being captured, as reported by the latest payment status callback: 
+     * ['payment-card-number', 'expiration-date', 'security-code', 'postal-code', 'bank-routing-number', 
+     * 'bank-account-number'].
+     */
+    paymentCapture;
+
+    /**  The payment information still required, as a comma-separated list of the above.  */
+    paymentRequired;
+
+    /**  True if the latest payment status callback reports a partial result.  */
+    paymentPartialResult;
+
+    /**  The error in the caller's input reported by the latest payment status callback, e.g. 'invalid-card-number'. */
+    paymentErrorType;
+
+    /**  
+     * The outcome of the most recent &lt;Refer&gt;: 'completed' if the far end accepted the transfer, 
+     * otherwise 'failed'.
+     * <br>See {@link https://www.twilio.com/docs/voice/twiml/refer#action}
+     */
+    referCallStatus;
+
+    /**  The SIP response code returned by the far end to the most recent &lt;Refer&gt;, e.g. 202 or 603.  */
+    referSipResponseCode;
+
     /*
      * Do not call directly. Use the factory method Call.makeCall() instead.
      */
-    constructor(properties, webhookFulfill, webhookReject) {
+    constructor(properties, webhookFulfill, webhookReject, callClient = client) {
+        this.#client = callClient;
         this.#updateProperties(properties);
         this.#webhookFulfill = webhookFulfill;
         this.#webhookReject = webhookReject;
@@ -193,9 +413,30 @@ export class Call {
      * @param {Object} [options] - Call options, including recording, answering machine detection, etc.
      *                 @see {@link https://www.twilio.com/docs/voice/api/call-resource#create-a-call-resource}
      *                 DO NOT set the url or statusCallback properties, as these will be handled automatically.
+     * @param {Object} [options.client] - Client with which to make the call, e.g. for a different account.
+     *                 Defaults to the client passed to setup().
+     * @param {string} [options.authToken] - Auth token of the client's account, with which the call's webhooks and 
+     *                 callbacks are validated.  Required for a client of another account, unless an inbound route
+     *                 has the same client.
+     * @param {AbortSignal} [options.signal] - Signal which stops the wait for the call to progress.
+     *                 See the abort options of sendResponse().
+     * @param {boolean} [options.endCallOnAbort=false] - Set to true to cancel the call if the signal is aborted
      * @returns {Promise} - Promise that resolves to the Call object
     */
    static makeCall(to, from, options={}) {
+        const callClient = options.client || client;
+        const { signal, endCallOnAbort } = options;
+        if (options.authToken) {
+            if (!options.client) {
+                throw new TypeError('An authToken for Call.makeCall() requires a client');
+            }
+            addAccount(options.client, options.authToken);
+        }
+        delete options.client;
+        delete options.authToken;
+        delete options.signal;
+        delete options.endCallOnAbort;
+
         // Sanitize options
         for (let option in options) {
             if (forbiddenAttributes.includes(option))
@@ -217,17 +458,27 @@ export class Call {
         options.from = from;
         options.url = webhookUrl;
         options.statusCallback = statusUrl;
+        options.fallbackUrl = fallbackUrl;
 
-        return new Promise((fulfill, reject) => {
-            client.calls
+        let call;
+        let aborted = false;
+        const promise = new Promise((fulfill, reject) => {
+            callClient.calls
                 .create(options)
                 .then(callProperties => {
-                    const call = new Call(callProperties, fulfill, reject);
+                    call = new Call(callProperties, fulfill, reject, callClient);
                     call.eventSource = 'api';
+                    call.#machineDetection = options.machineDetection;
                     currentCalls[call.sid] = call;
+                    call.addEvent('created', { to: call.to, from: call.from, status: call.status });
+                    if (aborted && endCallOnAbort) call.#endOnAbort();
                 })
                 .catch(err => reject(err));
         });
+        return _abortable(promise, signal, () => {
+            aborted = true;
+            if (call && endCallOnAbort) call.#endOnAbort();
+        });
     }
 
     /**
@@ -236,10 +487,97 @@ export class Call {
      */
     cancel() {
         this.#scriptContinues = false;
-        return client.calls(this.sid)
+        return this.#client.calls(this.sid)
             .update({status: 'completed'});
     }
+
+    /*
+     * Ends the call because a signal has been aborted, unless it has already ended.
+     */
+    #endOnAbort() {
+        if (this.#callEnded) return;
+        log.debug('Ending call', this.sid, 'after abort');
+        this.addEvent('aborted');
+        this.cancel().catch(err => log.error('Unable to end call', this.sid, 'after abort:', err));
+    }
+
+    /*
+     * Applies the abort options of a method to a Promise.  onAbort, if given, is called to clean up the wait.
+     */
+    #abortable(promise, options, onAbort) {
+        return _abortable(promise, options.signal, () => {
+            onAbort?.();
+            if (options.endCallOnAbort) this.#endOnAbort();
+        });
+    }
     
+    /**
+     * Adds an event to the call's timeline, and writes it to the event log, if there is one.  The toolkit adds 
+     * events for webhooks, status callbacks and so on; a script may add its own, e.g. to record its decisions.
+     * @param {string} type - The type of event
+     * @param {Object} [details] - Details of the event, which should be JSON-serializable.  Undefined details 
+     * are omitted.
+     * @returns {Object} - The event, of the form {time, callSid, type, ...details}
+     */
+    addEvent(type, details={}) {
+        const event = { time: new Date().toISOString(), callSid: this.sid, type };
+        for (let name in details) {
+            if (details[name] !== undefined) event[name] = details[name];
+        }
+        this.timeline.push(event);
+        if (eventLog) {
+            Promise.resolve()
+                .then(() => eventLog.write(event))
+                .catch(err => log.error('Unable to write event for call', this.sid, 'to the event log:', err));
+        }
+        return event;
+    }
+
+    /**
+     * Exports the call's timeline as JSON lines, i.e. one JSON object per line, for saving to a file.
+     * @returns {string} - The timeline
+     */
+    exportTimeline() {
+        return toJsonLines(this.timeline);
+    }
+
+    /**
+     * Handles an error with which a script has failed, by running the error script, which by default apologizes
+     * to the caller and hangs up.  This is done automatically for inbound and recovery scripts; an outbound script
+     * should call it from its catch block, so that the caller does not hear dead air.  CallEndedExceptions, and
+     * errors after the call has ended, are ignored.
+     * @param {Error} err - The error
+     */
+    handleError(err) {
+        if (err instanceof CallEndedException || this.#callEnded) return;
+        if (this.#handledError && err === this.#handledError.err) return;
+        if (this.#isSuperseded()) return;               // The error script is already running
+        this.#handledError = { err };
+        log.error('Script for call', this.sid, 'failed:', err);
+        this._addException(err);
+        if (this.#pendingTwiml) {
+            this.#twimlReject(err);                     // A webhook is waiting, or the call is being held
+        } else {
+            this.#scriptError = { err };                // Handled when the next webhook arrives
+        }
+    }
+
+    /*
+     * Adds an exception to the timeline, and counts it unless it is a CallEndedException, which is raised 
+     * whenever the far end hangs up during a script.
+     */
+    _addException(err) {
+        const name = err?.constructor?.name ?? typeof err;      // A script may reject with any value
+        if (!(err instanceof CallEndedException)) {
+            metrics.exceptions.inc({ name });
+        }
+        this.addEvent('exception', { 
+            name, 
+            message: err?.message || undefined,
+            status: err instanceof CallEndedException ? this.status : undefined
+        });
+    }
+
     /**
      * Defines the webhook and status callback parameters of interest, and which
      * normalizes their names when they are used to create properties of a Call object.
@@ -279,6 +617,25 @@ export class Call {
             DialCallStatus: 'dialCallStatus',
             DialCallSid: 'dialCallSid',
             DialCallDuration: 'dialCallDuration',
+            RecordingSid: 'recordingSid',
+            RecordingUrl: 'recordingUrl',
+            RecordingDuration: 'recordingDuration',
+            RecordingStatus: 'recordingStatus',
+            QueueResult: 'queueResult',
+            QueueSid: 'queueSid',
+            QueueTime: 'queueTime',
+            Result: 'paymentResult',
+            PaymentConfirmationCode: 'paymentConfirmationCode',
+            PaymentToken: 'paymentToken',
+            PaymentError: 'paymentError',
+            PaymentCardNumber: 'paymentCardNumber',
+            PaymentCardType: 'paymentCardType',
+            Capture: 'paymentCapture',
+            Required: 'paymentRequired',
+            PartialResult: 'paymentPartialResult',
+            ErrorType: 'paymentErrorType',
+            ReferCallStatus: 'referCallStatus',
+            ReferSipResponseCode: 'referSipResponseCode',
         }
     } 
 
@@ -291,6 +648,43 @@ export class Call {
                 this[Call.propertyMappings[property]] = properties[property];
             }
         }
+        this.#saveState();
+    }
+
+    /*
+     * Saves the properties and child calls in the call-state store.
+     */
+    #saveState() {
+        if (!isCallSid(this.sid)) return;
+        const properties = {};
+        for (let name of new Set(Object.values(Call.propertyMappings))) {
+            if (this[name] !== undefined) properties[name] = this[name];
+        }
+        store.set(this.sid, { properties, childCalls: this.childCalls })
+            .catch(err => log.error('Unable to save call', this.sid, 'in the store:', err));
+    }
+
+    /*
+     * Recreates a call that is not in the current calls, from its saved state (if any) and a webhook, 
+     * and hands it to the recovery script.
+     */
+    static _recover(state, request, response, eventSource) {
+        const call = new Call({}, undefined, undefined, findAccount(request.body.AccountSid)?.client);
+        if (state) {
+            Object.assign(call, state.properties);
+            call.childCalls = state.childCalls;
+        }
+        if (eventSource === 'dial') {
+            call.#updateChildProperties(request.body);
+        }
+        call.#updateProperties(request.body);
+        call.eventSource = eventSource;
+        currentCalls[call.sid] = call;
+        call.addEvent('recovered', { eventSource, params: eventParams(request.body) });
+        call.#getTwiml(response);
+        Promise.resolve()
+            .then(() => recoveryScript(call))
+            .catch(err => call.handleError(err));
     }
 
     /*
@@ -304,6 +698,7 @@ export class Call {
             }
         }
         this.childCalls.push(childProperties);
+        this.#saveState();
     }
 
     /**
@@ -329,8 +724,10 @@ export class Call {
 
     /**
      * Calls the gather() method of the wrapped VoiceResponse object. Any previous gather properties are deleted.
+     * Set the partial attribute to true to receive partial speech recognition results through partialResults().
      * @param  {...any} args - See {@link https://www.twilio.com/docs/voice/twiml/gather}
-     *                  DO NOT set the action URL; the callback will be handled automatically.
+     *                  DO NOT set the action or partialResultsCallback URLs; the callbacks will be handled 
+     *                  automatically.
      * @returns {Gather} - See [VoiceResponse.Gather]{@link https://www.twilio.com/docs/libraries/reference/twilio-node/4.8.0/classes/twiml_VoiceResponse.export_-1.html#gather}
      */
     gather(...args) { 
@@ -338,9 +735,106 @@ export class Call {
         delete this.finishedOnKey;
         delete this.speechResult;
         delete this.confidence;
+        this.#partialResults?.end();
+        this.#partialResults = undefined;
+        if (typeof args[0] === 'object' && args[0].partial) {
+            this.#partialResults = new AsyncQueue();
+            this.#lastSequenceNumber = 0;
+        }
         return this.#twiml.gather(...args);
     }
 
+    /**
+     * Returns an async iterator of the partial speech recognition results for the most recent gather(), which must
+     * have been created with the partial attribute set to true.  Each result is of the form 
+     * {stableSpeechResult, unstableSpeechResult, sequenceNumber}.  Iteration ends when the &lt;Gather&gt; has
+     * finished, at which point the final result is available from the Promise returned by sendResponse().
+     * @example
+     * call.gather({ input: 'speech', partial: true }).say('How can I help?');
+     * const finished = call.sendResponse();
+     * for await (const result of call.partialResults()) {
+     *     console.log('So far:', result.stableSpeechResult, result.unstableSpeechResult);
+     * }
+     * await finished;
+     * @returns {AsyncQueue}
+     */
+    partialResults() {
+        if (!this.#partialResults) {
+            throw new Error('Partial results were not requested by gather()');
+        }
+        return this.#partialResults;
+    }
+
+    /**
+     * Asks the caller a question, using &lt;Gather&gt; to collect speech and/or keypresses, and retries with
+     * reprompts if there is no input, or if the input does not match any of the expected choices.
+     * @param {string|Function} prompt - Text to be said, or a function which is passed the Gather object to add
+     * its own prompt, e.g. gather => gather.play(url)
+     * @param {Object} [options] - Options, together with any &lt;Gather&gt; attributes, such as language or timeout.
+     *                 See {@link https://www.twilio.com/docs/voice/twiml/gather}
+     * @param {string} [options.input='dtmf speech'] - The types of input to accept
+     * @param {Object} [options.choices] - The expected intents, indexed by name, each of the form {dtmf, speech}.
+     * See the Grammar class in the grammar module. If not given, any input is accepted.
+     * @param {string|string[]} [options.hints] - Speech recognition hints, in addition to the synonyms of the choices
+     * @param {number} [options.maxTries=3] - The number of times to ask the question
+     * @param {string} [options.noInputPrompt] - Said before the prompt is repeated, if there was no input
+     * @param {string} [options.noMatchPrompt] - Said before the prompt is repeated, if the input did not match
+     * @param {AbortSignal} [options.signal] - Signal which stops the wait for an answer.  See sendResponse().
+     * @param {boolean} [options.endCallOnAbort=false] - Set to true to hang up if the signal is aborted
+     * @returns {Promise} - Promise that resolves to the result, of the form {via, value, confidence}, where via is
+     * 'speech' or 'dtmf', and value is the name of the matching choice, or else the speech or digits.
+     * Resolves to null if there was no valid answer after maxTries.
+     */
+    async ask(prompt, options={}) {
+        const {
+            choices,
+            hints,
+            maxTries = 3,
+            noInputPrompt = "Sorry, I didn't get that.",
+            noMatchPrompt = "Sorry, I didn't understand.",
+            signal,
+            endCallOnAbort,
+            ...attributes
+        } = options;
+        const grammar = choices && new Grammar(choices);
+        attributes.input = attributes.input || 'dtmf speech';
+
+        if (attributes.input.includes('speech')) {
+            const allHints = [...(hints ? [].concat(hints) : []), ...(grammar ? grammar.hints : [])];
+            if (allHints.length > 0) attributes.hints = allHints.join(', ');
+            if (!attributes.speechTimeout) attributes.speechTimeout = 'auto';
+        }
+        if (attributes.input.includes('dtmf') && grammar && grammar.maxDigits && !attributes.numDigits) {
+            attributes.numDigits = grammar.maxDigits;
+        }
+
+        let reprompt;
+        for (let numTries = 0; numTries < maxTries; numTries++) {
+            const gather = this.gather({...attributes});
+            if (reprompt) gather.say(reprompt);
+            if (typeof prompt === 'function') {
+                prompt(gather);
+            } else {
+                gather.say(prompt);
+            }
+            await this.sendResponse({ signal, endCallOnAbort });
+
+            const via = this.digits ? 'dtmf' : this.speechResult ? 'speech' : undefined;
+            if (!via) {
+                reprompt = noInputPrompt;
+                continue;
+            }
+            const value = grammar ? grammar.match(this) : (this.digits || this.speechResult);
+            if (value === undefined) {
+                reprompt = noMatchPrompt;
+                continue;
+            }
+            const confidence = via === 'dtmf' ? 1 : Number(this.confidence);
+            return { via, value, confidence };
+        }
+        return null;
+    }
+
     /**
      * Calls the dial() method of the wrapped VoiceResponse object. There will always be a webhook at the
      * end of the dialed call, which is handled specially.   
@@ -350,6 +844,279 @@ export class Call {
      */
     dial(...args) { return this.#twiml.dial(...args); }
 
+    /**
+     * Sends an SMS from the Twilio number used by this call, i.e. the called number of an inbound call, or the
+     * calling number of an outbound call.  The script may continue with the call while the message is delivered.
+     * @param {string} to - The destination number
+     * @param {string} body - The text of the message
+     * @param {Object} [options] - Other message options, including a signal which stops the wait for delivery.  
+     * See sendMessage() in the message module.  The message is sent with this call's client, unless another 
+     * client is given.
+     * @returns {Promise} - Promise that resolves to the message, of the form {sid, to, from, body, status, errorCode},
+     * once it has reached a final status
+     */
+    sendSms(to, body, options={}) {
+        const from = this.direction === 'inbound' ? this.to : this.from;
+        return sendMessage(to, from, body, { client: this.#client, ...options });
+    }
+
+    /**
+     * Transfers a SIP call by sending a SIP REFER to the far end, using the refer() method of the wrapped 
+     * VoiceResponse object.  Only calls that arrived over SIP, e.g. from a SIP trunk or SIP domain, may be 
+     * transferred in this way.  Any previous refer properties are deleted.  The next webhook will update the 
+     * referCallStatus and referSipResponseCode properties, so that the script can react to a failed transfer.
+     * @param {string} sipUri - The SIP URI to which the call is to be transferred, e.g. 'sip:alice@pbx.example.com'
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/refer}
+     *                 DO NOT set the action URL; the callback will be handled automatically.
+     * @returns {Refer} - See [VoiceResponse.Refer]{@link https://www.twilio.com/docs/libraries/reference/twilio-node/4.8.0/classes/twiml_VoiceResponse.export_-1.html#refer}
+     */
+    refer(sipUri, attributes={}) {
+        delete this.referCallStatus;
+        delete this.referSipResponseCode;
+        const refer = this.#twiml.refer(attributes);
+        refer.sip(sipUri);
+        return refer;
+    }
+
+    /**
+     * Calls the enqueue() method of the wrapped VoiceResponse object, placing the caller in a queue. Any previous 
+     * queue properties are deleted. The next webhook is received when the caller leaves the queue, with the 
+     * queueResult, queueSid and queueTime properties updated.
+     * @param {string} name - The name of the queue
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/enqueue}
+     *                 DO NOT set the action or waitUrl attributes; these will be handled automatically.
+     * @param {Function} [attributes.waitScript] - Function invoked with a QueueWait object, which plays 
+     * hold music or announcements while the caller waits. If omitted, Twilio's default hold music is played.
+     * @returns {Enqueue} - See [VoiceResponse.Enqueue]{@link https://www.twilio.com/docs/libraries/reference/twilio-node/4.8.0/classes/twiml_VoiceResponse.export_-1.html#enqueue}
+     */
+    enqueue(name, attributes={}) {
+        const { waitScript, ...enqueueAttributes } = attributes;
+        for (let attribute of ['waitUrl', 'waitUrlMethod']) {
+            if (attribute in enqueueAttributes)
+                throw new TypeError(`${attribute} attribute not allowed in <Enqueue>`);
+        }
+        delete this.queueResult;
+        delete this.queueSid;
+        delete this.queueTime;
+        this.#waitScript = waitScript;
+        this.#queueWait = undefined;
+        if (waitScript) {
+            enqueueAttributes.waitUrl = waitUrl;
+        }
+        return this.#twiml.enqueue(enqueueAttributes, name);
+    }
+
+    /**
+     * Starts a unidirectional Media Stream, by adding &lt;Start&gt;&lt;Stream&gt; to the TwiML. The stream will
+     * run in the background while the script continues.
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/stream#attributes}
+     *                 DO NOT set the url or statusCallback attributes; the stream will be handled automatically.
+     * @param {Object} [attributes.parameters] - Custom parameters to pass to the stream, as name/value pairs
+     * @returns {MediaStream} - Async iterable of the messages received on the stream
+     */
+    stream(attributes={}) {
+        return this.#addStream(this.#twiml.start(), attributes, false);
+    }
+
+    /**
+     * Calls the connect() method of the wrapped VoiceResponse object.  Only &lt;Stream&gt; is supported within
+     * &lt;Connect&gt;, to create a bidirectional Media Stream.  The next webhook will not be received until the 
+     * stream has ended.
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/connect}
+     *                 DO NOT set the action URL; the callback will be handled automatically.
+     * @returns {Object} - Object with a stream() method, which takes the same arguments as Call.stream(),
+     * and returns a bidirectional MediaStream
+     */
+    connect(attributes={}) {
+        const connect = this.#twiml.connect(attributes);
+        return {
+            stream: (streamAttributes={}) => this.#addStream(connect, streamAttributes, true)
+        };
+    }
+
+    /*
+     * Adds a <Stream> to a <Start> or <Connect>, and queues a MediaStream to receive it.
+     */
+    #addStream(parent, attributes, bidirectional) {
+        const { parameters, ...streamAttributes } = attributes;
+        for (let attribute in streamAttributes) {
+            if (forbiddenAttributes.includes(attribute))
+                throw new TypeError(`${attribute} attribute not allowed in <Stream>`);
+        }
+        const stream = parent.stream({ ...streamAttributes, url: streamUrl });
+        for (let name in parameters) {
+            stream.parameter({ name, value: parameters[name] });
+        }
+        const mediaStream = new MediaStream(bidirectional);
+        this.#pendingStreams.push(mediaStream);
+        return mediaStream;
+    }
+
+    /*
+     * The REST API client for this call, for use by other toolkit modules.
+     */
+    get _client() {
+        return this.#client;
+    }
+
+    /*
+     * The auth token of the account to which this call belongs, against which its webhooks are validated.
+     */
+    get _authToken() {
+        return authTokenForClient(this.#client);
+    }
+
+    /*
+     * Returns the next MediaStream waiting to be started.
+     */
+    _claimStream() {
+        return this.#pendingStreams.shift();
+    }
+
+    /**
+     * Calls the record() method of the wrapped VoiceResponse object. Any previous recording properties are deleted.
+     * The next webhook will update recordingUrl, recordingDuration and recordingSid, but the recording itself
+     * may not be available until later: use waitForRecording() to wait for it.
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/record}
+     *                 DO NOT set the action or recordingStatusCallback URLs; the callbacks will be handled automatically.
+     * @returns {Record} - See [VoiceResponse.Record]{@link https://www.twilio.com/docs/libraries/reference/twilio-node/4.8.0/classes/twiml_VoiceResponse.export_-1.html#record}
+     */
+    record(attributes={}) {
+        delete this.digits;
+        delete this.recordingSid;
+        delete this.recordingUrl;
+        delete this.recordingDuration;
+        delete this.recordingStatus;
+        return this.#twiml.record({ recordingStatusCallbackEvent: 'completed absent', ...attributes });
+    }
+
+    /**
+     * Calls the pay() method of the wrapped VoiceResponse object, to collect a card payment from the caller.
+     * Any previous payment properties are deleted. The next webhook is received when the &lt;Pay&gt; has finished,
+     * with the paymentResult, paymentConfirmationCode, paymentToken and paymentError properties updated.
+     * Meanwhile, payment status callbacks report the caller's progress; use nextPaymentEvent() to wait for them.
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/pay}
+     *                 DO NOT set the action or statusCallback URLs; the callbacks will be handled automatically.
+     * @returns {Pay} - See [VoiceResponse.Pay]{@link https://www.twilio.com/docs/libraries/reference/twilio-node/4.8.0/classes/twiml_VoiceResponse.export_-1.html#pay}
+     */
+    pay(attributes={}) {
+        for (let property of Object.values(Call.propertyMappings).filter(name => name.startsWith('payment'))) {
+            delete this[property];
+        }
+        return this.#twiml.pay(attributes);
+    }
+
+    /**
+     * Waits for the next payment status callback, which will update the paymentCapture, paymentRequired,
+     * paymentPartialResult and paymentErrorType properties, or for the &lt;Pay&gt; to finish, in which case
+     * the paymentResult property will be set.
+     * @param {Object} [options] - Abort options.  See sendResponse().
+     * @returns {Promise} - Promise that resolves to the Call object
+     */
+    nextPaymentEvent(options={}) {
+        if (this.paymentResult) {
+            return Promise.resolve(this);
+        }
+        return this.#abortable(new Promise(fulfill => this.#paymentWaiters.push(fulfill)), options);
+    }
+
+    /*
+     * Resolves any Promises waiting on payment events.
+     */
+    #notifyPaymentWaiters() {
+        this.#paymentWaiters.splice(0).forEach(fulfill => fulfill(this));
+    }
+
+    /**
+     * Waits for the most recent recording to become available, or to fail.  The recording may not be available 
+     * until after the call has ended.
+     * @param {Object} [options] - Abort options.  See sendResponse().
+     * @returns {Promise} - Promise that resolves to the Call object, once the recordingStatus property
+     * is one of ['completed', 'absent', 'failed']
+     */
+    waitForRecording(options={}) {
+        if (finalRecordingStatuses.includes(this.recordingStatus)) {
+            return Promise.resolve(this);
+        }
+        return this.#abortable(new Promise(fulfill => this.#recordingWaiters.push({fulfill, final: true})), options);
+    }
+
+    /**
+     * Waits for the next recording status callback, which will update the recording properties of the Call.
+     * @param {Object} [options] - Abort options.  See sendResponse().
+     * @returns {Promise} - Promise that resolves to the Call object
+     */
+    nextRecordingEvent(options={}) {
+        return this.#abortable(new Promise(fulfill => this.#recordingWaiters.push({fulfill, final: false})), options);
+    }
+
+    /**
+     * Starts recording the call, using the REST API.  Any previous recording properties are deleted.
+     * Recording status callbacks will update the recording properties; use nextRecordingEvent() or 
+     * waitForRecording() to wait for them.
+     * @param {Object} [options] - Recording options, such as recordingChannels or trim.
+     *                 @see {@link https://www.twilio.com/docs/voice/api/recording#create-a-recording-resource}
+     *                 DO NOT set the recordingStatusCallback property, as this will be handled automatically.
+     * @returns {Promise} - Promise that resolves to the Call object once the recording has started
+     */
+    async startRecording(options={}) {
+        for (let option in options) {
+            if (forbiddenAttributes.includes(option))
+                throw new TypeError(`${option} is not allowed in Call.startRecording()`);
+        }
+        delete this.recordingSid;
+        delete this.recordingUrl;
+        delete this.recordingDuration;
+        delete this.recordingStatus;
+
+        const recording = await this.#client.calls(this.sid).recordings.create({
+            ...options,
+            recordingStatusCallback: recordingStatusUrl,
+            recordingStatusCallbackEvent: ['in-progress', 'completed', 'absent'],
+        });
+        this.recordingSid = recording.sid;
+        this.recordingStatus = recording.status;
+        return this;
+    }
+
+    /**
+     * Pauses the current recording, for example while sensitive information is being collected.
+     * @param {string} [pauseBehavior='skip'] - Whether to 'skip' the paused interval, or fill it with 'silence'
+     * @returns {Promise} - Promise that resolves to the Call object once the recording has been paused
+     */
+    pauseRecording(pauseBehavior='skip') {
+        return this.#updateRecording({status: 'paused', pauseBehavior});
+    }
+
+    /**
+     * Resumes the current recording after it has been paused.
+     * @returns {Promise} - Promise that resolves to the Call object once the recording has been resumed
+     */
+    resumeRecording() {
+        return this.#updateRecording({status: 'in-progress'});
+    }
+
+    /**
+     * Stops the current recording.  The recording will become available later; use waitForRecording()
+     * to wait for it.
+     * @returns {Promise} - Promise that resolves to the Call object once the recording has been stopped
+     */
+    stopRecording() {
+        return this.#updateRecording({status: 'stopped'});
+    }
+
+    /*
+     * Updates the status of the current recording through the REST API.
+     */
+    async #updateRecording(params) {
+        if (!this.recordingSid) {
+            throw new Error(`Call ${this.sid} is not being recorded`);
+        }
+        const recording = await this.#client.calls(this.sid).recordings(this.recordingSid).update(params);
+        this.recordingStatus = recording.status;
+        return this;
+    }
+
     /**
      * Calls the hangup() method of the wrapped VoiceResponse object. The Call object's state is updated
      * to note that no forther webhooks should be expected after the response has been sent.
@@ -376,10 +1143,29 @@ export class Call {
      * Generates the accumulated TwiML from the wrapped VoiceResponse object, and signals to the webhook handler
      * that it is ready to be sent. If this is a non-final response, a &lt;Redirect&gt; is added to the end of the TwiML
      * to ensure that control is returned to the script.
-     * @returns {Promise} - Promise that will be settled by the next webhook or status callback
+     * @param {Object} [options] - Abort options, which are also accepted by the other methods that wait for 
+     * Twilio events
+     * @param {AbortSignal} [options.signal] - Signal which stops the wait, e.g. AbortSignal.timeout(5000).  If it 
+     * is aborted first, the Promise is rejected with the signal's reason.  Events which arrive afterwards still
+     * update the Call's properties, but the script is responsible for the call from then on.
+     * @param {boolean} [options.endCallOnAbort=false] - Set to true to hang up, or cancel, the call if the signal
+     * is aborted
+     * @returns {Promise} - Promise that will be settled by the next webhook or status callback, or rejected with
+     * a CallEndedException if the call has already ended
      */
-    sendResponse() {
-        return new Promise((fulfill, reject) => {
+    sendResponse(options={}) {
+        return this.#abortable(new Promise((fulfill, reject) => {
+            if (this.#isSuperseded()) {
+                reject(this.#fallbackError);
+                return;
+            }
+            if (this.#callEnded) {                          // No more webhooks will be received
+                this.#twimlFulfill?.(this.#twiml.toString());   // Answers any webhook still waiting
+                const exception = new CallEndedException(this);
+                this._addException(exception);
+                reject(exception);
+                return;
+            }
             if (this.#scriptContinues) {                    // If this is not the last step...
                 this.#twiml.redirect(webhookUrl);           // Make sure Twilio returns control to the script for the next step
             }
@@ -389,33 +1175,104 @@ export class Call {
             if (this.#scriptContinues) {
                 this.#twiml = _makeTwiml();                  // Creates a new VoiceResponse for the next step
             }
-        });
+        }), options);
     }
 
     /**
      * Generates the accumulated TwiML from the wrapped VoiceResponse object, and signals to the webhook handler
      * that it is ready to be sent. This will be the final TwiML response generated by the script.
+     * @param {Object} [options] - Abort options.  See sendResponse().
      * @returns {Promise} - Promise that will be settled by the next webhook or status callback
      */
-    sendFinalResponse() {
-        return new Promise((fulfill, reject) => {
+    sendFinalResponse(options={}) {
+        return this.#abortable(new Promise((fulfill, reject) => {
+            if (this.#isSuperseded()) {
+                reject(this.#fallbackError);
+                return;
+            }
             this.#scriptContinues = false;
             this.#twimlFulfill(this.#twiml.toString());     // Resolves Promise to send back some TwiML
             this.#webhookFulfill = fulfill;                 // Waits for the next webhook or status callback
             this.#webhookReject = reject;                   // Fired if the other end hangs up
-        });
+        }), options);
     }
 
     /**
      * Method to be called after receiving an 'initiated', 'ringing' or 'call-progress' event, 
      * which creates a new Promise to get either the next event or the webhook to receive TwiML.
+     * @param {Object} [options] - Abort options.  See sendResponse().
      * @returns {Promise} - Promise that resolves to the Call object.
      */
-    nextEvent() {
-        return new Promise((fulfill, reject) => {
+    nextEvent(options={}) {
+        return this.#abortable(new Promise((fulfill, reject) => {
+            if (this.#isSuperseded()) {
+                reject(this.#fallbackError);
+                return;
+            }
             this.#webhookFulfill = fulfill;
             this.#webhookReject = reject;
-        })
+        }), options);
+    }
+
+    /**
+     * Waits for an Answering Machine Detection verdict, which is delivered by the webhook for synchronous AMD, 
+     * or by the AMD status callback for asynchronous AMD.  With the 'DetectMessageEnd' option, the final verdict
+     * for a machine follows 'machine_start', once the greeting has ended.  The answeredBy property holds the 
+     * detailed verdict.
+     * @param {Object} [options] - Options, which also include the abort options of sendResponse()
+     * @param {boolean} [options.final=true] - Set to false to resolve on the first verdict, e.g. 'machine_start'
+     * @param {number} [options.timeout] - Milliseconds to wait for the verdict.  By default, there is no limit.
+     * @returns {Promise} - Promise that resolves to one of ['human', 'machine', 'fax', 'unknown'].  If the timeout
+     * expires or the call ends before the verdict arrives, it resolves to the verdict so far, or 'unknown'.
+     */
+    waitForAmd(options={}) {
+        const { final = true, timeout, ...abortOptions } = options;
+        const waiter = { final };
+        if (this.#callEnded || this.#hasAmdVerdict(waiter)) {
+            return Promise.resolve(amdVerdict(this.answeredBy));
+        }
+        const removeWaiter = () => {
+            clearTimeout(waiter.timerId);
+            this.#amdWaiters = this.#amdWaiters.filter(other => other !== waiter);
+        };
+        return this.#abortable(new Promise(fulfill => {
+            waiter.fulfill = fulfill;
+            if (timeout) {
+                waiter.timerId = setTimeout(() => {
+                    removeWaiter();
+                    fulfill(amdVerdict(this.answeredBy));
+                }, timeout);
+            }
+            this.#amdWaiters.push(waiter);
+        }), abortOptions, removeWaiter);
+    }
+
+    /*
+     * Returns true if the call has the verdict an AMD waiter is waiting for.
+     */
+    #hasAmdVerdict(waiter) {
+        if (!this.answeredBy) return false;
+        return !waiter.final || this.answeredBy !== 'machine_start' || this.#machineDetection !== 'DetectMessageEnd';
+    }
+
+    /*
+     * Resolves any Promises waiting on an AMD verdict that has arrived, or on every verdict, if the call has ended.
+     */
+    #notifyAmdWaiters() {
+        this.#amdWaiters = this.#amdWaiters.filter(waiter => {
+            if (!this.#callEnded && !this.#hasAmdVerdict(waiter)) return true;
+            clearTimeout(waiter.timerId);
+            waiter.fulfill(amdVerdict(this.answeredBy));
+            return false;
+        });
+    }
+
+    /*
+     * Returns true if Twilio has reported that a webhook failed, and the caller is not the error script that was
+     * run in response: the script that was running at the time may no longer respond to webhooks.
+     */
+    #isSuperseded() {
+        return this.#fallbackError !== undefined && errorScriptRuns.getStore() !== this.#errorScriptRun;
     }
 
     /*
@@ -423,23 +1280,103 @@ export class Call {
      * Returns a Promise that is settled when the next script step invokes sendResponse().
      */
     #getTwiml(response) {
-        return new Promise((fulfill, reject) => {
-            this.#twimlFulfill = fulfill;                   // Waits for the next step in the script
-            this.#twimlReject = reject;                     // ...or if something goes horribly wrong
-        })
+        const arrival = performance.now();
+        if (!this.#pendingTwiml) {
+            this.#pendingTwiml = new Promise((fulfill, reject) => {
+                this.#twimlFulfill = fulfill;               // Waits for the next step in the script
+                this.#twimlReject = reject;                 // ...or for the script to fail
+            });
+            if (this.#scriptError) {
+                this.#twimlReject(this.#scriptError.err);
+                this.#scriptError = undefined;
+            }
+        }
+        let timer;
+        const deadline = new Promise(fulfill => {
+            if (responseDeadline > 0) timer = setTimeout(fulfill, responseDeadline);
+        });
+        this.#waitingWebhook = { response, timer };
+        return Promise.race([this.#pendingTwiml, deadline])
         .then(twiml => {
+            clearTimeout(timer);
+            if (twiml === undefined) {                      // The deadline was reached first
+                this.#hold(response);
+                return;
+            }
+            this.#pendingTwiml = undefined;
             log.debug('TwiML:', twiml);
+            this.addEvent('twiml', { twiml });
             response.type('xml').send(twiml).end()
+            metrics.webhookDuration.observe((performance.now() - arrival) / 1000);
         })
-        .catch(err => response.status(502).send(err).end());
+        .catch(err => {
+            clearTimeout(timer);
+            this.#pendingTwiml = undefined;
+            this.#runErrorScript(err, response);
+        });
+    }
+
+    /*
+     * Runs the error script, to respond to a webhook after the script has failed.  If the error script fails too,
+     * the call is hung up.
+     */
+    #runErrorScript(err, response) {
+        this.#twiml = _makeTwiml();
+        this.#scriptContinues = true;
+        this.#getTwiml(response);
+        Promise.resolve()
+            .then(() => errorScript(this, err))
+            .catch(scriptErr => {
+                if (scriptErr instanceof CallEndedException) return;
+                log.error('Error script for call', this.sid, 'failed:', scriptErr);
+                const twiml = _makeTwiml();
+                twiml.hangup();
+                this.#twimlFulfill(twiml.toString());
+            });
+    }
+
+    /*
+     * Responds to a webhook with holding TwiML, because the script has not responded before the deadline.
+     * The TwiML redirects back to the webhook, whose response will be the script's TwiML, or else more holding.
+     */
+    #hold(response) {
+        const twiml = _makeTwiml();
+        if (holdMusicUrl) {
+            twiml.play(holdMusicUrl);
+        } else {
+            twiml.pause({length: 1});
+        }
+        twiml.redirect(webhookUrl);
+        log.info('Script for call', this.sid, 'did not respond within', responseDeadline, 'ms; holding the call');
+        metrics.heldResponses.inc();
+        this.addEvent('hold', { deadline: responseDeadline });
+        response.type('xml').send(twiml.toString()).end();
     }
 
     /*
      * Signals to the script that it can continue to the next step, and waits upon the resulting TwiML.
      */
     _respondToWebhook(request, response) {
+        if (this.#pendingTwiml) {
+            this.#getTwiml(response);                   // Returning from holding TwiML: the script is still busy
+            return;
+        }
+        const answeredBy = this.answeredBy;
         this.#updateProperties(request.body);
+        this.addEvent('webhook', { params: eventParams(request.body) });
+        if (this.answeredBy !== answeredBy) {
+            this.addEvent('amd', { answeredBy: this.answeredBy, machineDetectionDuration: this.machineDetectionDuration });
+            metrics.amdVerdicts.inc({ answered_by: this.answeredBy });
+            this.#notifyAmdWaiters();
+        }
         this.eventSource = 'webhook';
+        if (this.#queueWait) {
+            this.#queueWait._end();                     // The caller has left the queue
+        }
+        if (this.paymentResult) {
+            this.#notifyPaymentWaiters();               // The <Pay> has finished
+        }
+        this.#partialResults?.end();                    // Any <Gather> has finished
         this.#webhookFulfill(this);
         this.#getTwiml(response);
     }
@@ -451,22 +1388,32 @@ export class Call {
     _respondToStatusCallback(request, response) {
         this.#updateProperties(request.body);
         this.eventSource = 'status';
+        this.addEvent('status', { 
+            status: this.status, 
+            sipResponseCode: request.body.SipResponseCode, 
+            duration: request.body.CallDuration 
+        });
+        if (['completed', 'canceled', 'busy', 'no-answer', 'failed'].includes(this.status)) {
+            metrics.calls.inc({ status: this.status });
+        }
         switch (this.status) {
             case 'canceled':
             case 'busy':
             case 'no-answer':
             case 'failed':
                 this.#webhookFulfill(this);
-                delete currentCalls[this.sid];
+                this.#endCall();
                 break;
 
             case 'completed':
                 if (this.#scriptContinues) {
-                    this.#webhookReject(new CallEndedException(this));
+                    const exception = new CallEndedException(this);
+                    this._addException(exception);
+                    this.#webhookReject(exception);
                 } else {
                     this.#webhookFulfill(this);
                 }
-                delete currentCalls[this.sid];
+                this.#endCall();
                 break;
 
             case 'initiated':
@@ -482,6 +1429,21 @@ export class Call {
         response.status(204).end();     
     }
 
+    /*
+     * Removes the call from the current calls, unless we are still waiting for a recording to become available.
+     */
+    #endCall() {
+        this.#callEnded = true;
+        this.#partialResults?.end();
+        this.#notifyAmdWaiters();
+        if (this.#queueWait) {
+            this.#queueWait._end();
+        }
+        if (!this.recordingSid || finalRecordingStatuses.includes(this.recordingStatus)) {
+            removeCall(this.sid);
+        }
+    }
+
     /*
      * Signals to the script that a child call has ended, and that it can continue to the next step. 
      * The webhook response waits upon the resulting TwiML, unless the script is finished, in which case
@@ -490,12 +1452,19 @@ export class Call {
     _respondToChildStatusCallback(request, response) {
         this.#updateChildProperties(request.body);
         this.eventSource = 'dial';
+        this.addEvent('dial', { 
+            dialCallStatus: request.body.DialCallStatus, 
+            dialCallSid: request.body.DialCallSid, 
+            dialCallDuration: request.body.DialCallDuration,
+            params: eventParams(request.body)
+        });
         this.#webhookFulfill(this);
         if (this.#scriptContinues) {
             this.#getTwiml(response);
         } else {
             const twiml = makeTwiml().toString();
             log.debug('TwiML:', twiml);
+            this.addEvent('twiml', { twiml });
             response.type('xml').send(twiml).end();
         }
     }
@@ -503,51 +1472,304 @@ export class Call {
     /*
      * Gets TwiML from a script in response to an inbound call.
      */
-    _respondToInboundCall(response) {
+    _respondToInboundCall(request, response) {
+        this.addEvent('inbound', { params: eventParams(request.body) });
         this.#getTwiml(response);
     }
 
     /*
-     * Respond to an async AMD status callback.  We will simply set the variables in the Call
-     * object, and the script can poll those values as required.
+     * Responds to Twilio's report that a webhook has failed, e.g. because it timed out or returned an error,
+     * by running the error script.  The script that was running is stopped: a step waiting for a webhook is 
+     * rejected with the error, and so is any step that it tries afterwards.
+     */
+    _respondToFallback(request, response) {
+        this.#updateProperties(request.body);
+        this.eventSource = 'fallback';
+        this.addEvent('fallback', { errorCode: request.body.ErrorCode, errorUrl: request.body.ErrorUrl });
+        const err = new Error(`Webhook ${request.body.ErrorUrl} failed with error ${request.body.ErrorCode}`);
+        this._addException(err);
+        this.#releaseWaitingWebhook();
+        this.#pendingTwiml = undefined;
+        this.#fallbackError = err;                      // Stops the script that was running...
+        this.#webhookReject?.(err);                     // ...including any step that is waiting for a webhook
+        this.#errorScriptRun = {};
+        errorScriptRuns.run(this.#errorScriptRun, () => this.#runErrorScript(err, response));
+    }
+
+    /*
+     * Stops the deadline of a webhook that is still waiting on the script's TwiML, which Twilio has given up on, 
+     * and closes its response.
+     */
+    #releaseWaitingWebhook() {
+        if (!this.#waitingWebhook) return;
+        const { response, timer } = this.#waitingWebhook;
+        clearTimeout(timer);
+        if (!response.headersSent) response.status(204).end();
+        this.#waitingWebhook = undefined;
+    }
+
+    /*
+     * Respond to an async AMD status callback.  The variables in the Call object are set, and any Promises 
+     * waiting on the verdict are resolved.
      */
     _respondToAmdStatusCallback(request, response) {
         this.#updateProperties(request.body);
         this.eventSource = 'asyncAmd';  
+        this.addEvent('amd', { answeredBy: this.answeredBy, machineDetectionDuration: this.machineDetectionDuration });
+        metrics.amdVerdicts.inc({ answered_by: this.answeredBy });
+        this.#notifyAmdWaiters();
         response.status(204).end(); 
     }
+
+    /*
+     * Responds to a request for a queue's wait URL.  The first request starts the wait script; subsequent requests
+     * allow it to continue.  If the wait script has finished while the caller is still waiting, a pause is returned.
+     * The response deadline applies as it does to webhooks, and if the wait script fails, the caller leaves the queue.
+     */
+    _respondToWaitUrl(request, response) {
+        const hold = {
+            deadline: responseDeadline,
+            musicUrl: holdMusicUrl,
+            onHold: () => {
+                log.info('Wait script for call', this.sid, 'did not respond within', responseDeadline, 'ms');
+                metrics.heldResponses.inc();
+                this.addEvent('hold', { deadline: responseDeadline, queueSid: this.#queueWait.queueSid });
+            }
+        };
+        if (!this.#queueWait) {
+            this.#queueWait = new QueueWait(this);
+            this.#queueWait._respondToWaitUrl(request, response, hold);
+            const queueWait = this.#queueWait;
+            Promise.resolve()
+                .then(() => this.#waitScript(queueWait))
+                .then(() => this.#waitScript = undefined)
+                .catch(err => {                         // The QueueWait answers the wait URL from now on
+                    log.error('Wait script for call', this.sid, 'failed:', err);
+                    this._addException(err);
+                    queueWait._fail(err);
+                });
+        } else if (this.#waitScript) {
+            this.#queueWait._respondToWaitUrl(request, response, hold);
+        } else {
+            const twiml = makeTwiml();
+            twiml.pause({length: 10});
+            response.type('xml').send(twiml.toString()).end();
+        }
+    }
+
+    /*
+     * Respond to a recording status callback.  Promises waiting on the next recording event are resolved, 
+     * and once the recording is available (or has failed), so are any Promises waiting upon the recording itself.
+     */
+    _respondToRecordingStatusCallback(request, response) {
+        this.#updateProperties(request.body);
+        this.eventSource = 'recording';
+        const isFinal = finalRecordingStatuses.includes(this.recordingStatus);
+        this.#recordingWaiters = this.#recordingWaiters.filter(waiter => {
+            if (waiter.final && !isFinal) return true;
+            waiter.fulfill(this);
+            return false;
+        });
+        if (isFinal && this.#callEnded) {
+            removeCall(this.sid);
+        }
+        response.status(204).end();
+    }
+
+    /*
+     * Respond to a partial speech results callback, passing the result to the script.  Results that arrive out
+     * of sequence are dropped, as they have been superseded.
+     */
+    _respondToPartialResultsCallback(request, response) {
+        const sequenceNumber = Number(request.body.SequenceNumber);
+        if (this.#partialResults && sequenceNumber > this.#lastSequenceNumber) {
+            this.#lastSequenceNumber = sequenceNumber;
+            this.#partialResults.push({
+                stableSpeechResult: request.body.StableSpeechResult || '',
+                unstableSpeechResult: request.body.UnstableSpeechResult || '',
+                sequenceNumber
+            });
+        }
+        response.status(204).end();
+    }
+
+    /*
+     * Respond to a payment status callback, resolving any Promises waiting on the next payment event.
+     */
+    _respondToPaymentStatusCallback(request, response) {
+        this.#updateProperties(request.body);
+        this.eventSource = 'payment';
+        this.#notifyPaymentWaiters();
+        response.status(204).end();
+    }
+}
+
+
+/*
+ * Rejects any request whose X-Twilio-Signature header does not match the public URL and parameters
+ * of the request, to prevent spoofed webhooks and status callbacks from driving a script.
+ */
+function validateSignature(request, response, next) {
+    if (!authToken) {
+        next();
+        return;
+    }
+    const signature = request.get('X-Twilio-Signature');
+    const url = baseUrl + request.url;
+    if (signature && Twilio.validateRequest(requestAuthToken(request), signature, url, request.body)) {
+        next();
+    } else {
+        log.warn('Invalid Twilio signature for', url);
+        response.status(403).end();
+    }
+}
+
+/*
+ * Returns the auth token of the account that a request should come from: that of the inbound route for an
+ * inbound call, or of the account of a call in progress, or else of the account identified by the request's 
+ * AccountSid, so that a request signed by one account cannot drive a call belonging to another.
+ */
+function requestAuthToken(request) {
+    if (request.path === '/inbound' || request.path.endsWith('/inbound')) {
+        return findInboundRoute(request)?.authToken || authToken;
+    }
+    const sid = request.body?.CallSid;
+    if (sid && Object.hasOwn(currentCalls, sid)) {
+        return currentCalls[sid]._authToken;
+    }
+    return findAccount(request.body?.AccountSid)?.authToken || authToken;
+}
+
+/*
+ * Registers the client and auth token of another account, so that requests for its calls are validated with its
+ * own auth token.
+ */
+function addAccount(accountClient, accountToken) {
+    accounts = accounts.filter(account => account.client !== accountClient);
+    accounts.push({ client: accountClient, authToken: accountToken });
+}
+
+/*
+ * Returns the other account with the given account SID, if any.
+ */
+function findAccount(accountSid) {
+    return accountSid && accounts.find(account => account.client.accountSid === accountSid);
+}
+
+/*
+ * Returns the auth token of the account to which a REST API client belongs.
+ */
+function authTokenForClient(callClient) {
+    return accounts.find(account => account.client === callClient)?.authToken || authToken;
+}
+
+/*
+ * Checks the X-Twilio-Signature header of a request to open a Media Stream's WebSocket.  Twilio signs the
+ * WebSocket URL, with no parameters, and the request does not identify the call, so any configured auth token 
+ * is accepted here; the token that matched is recorded on the request, and checked when the stream is claimed.
+ */
+function validStreamSignature(request) {
+    if (!authToken) return true;
+    const signature = request.headers['x-twilio-signature'];
+    const url = new URL(streamUrl).origin + request.url;
+    const tokens = [authToken, ...accounts.map(account => account.authToken)];
+    request.twilioAuthToken = signature && tokens.find(token => Twilio.validateRequest(token, signature, url, {}));
+    if (request.twilioAuthToken) {
+        return true;
+    }
+    log.warn('Invalid Twilio signature for', url);
+    return false;
+}
+
+
+/*
+ * Returns the parameters of a webhook that are to be recorded in a timeline event, leaving out those that may 
+ * contain personal information, such as the caller's keypresses and speech.
+ */
+function eventParams(params) {
+    if (typeof redactParams === 'function') {
+        return redactParams({ ...params });
+    }
+    return Object.fromEntries(Object.entries(params).filter(([name]) => !redactParams.includes(name)));
+}
+
+/*
+ * Logs and counts a webhook or callback for a call that is not in the current calls.
+ */
+function orphanedCallback(request) {
+    log.warn('Call', request.body.CallSid, 'not found in current calls');
+    metrics.orphanedCallbacks.inc({ route: request.path });
 }
 
 
-const app = express();
-app.use(express.json());
-app.use(express.urlencoded({extended: true}));
+const router = express.Router();
+
+/*
+ * Reports that the server is running, for health checks.
+ */
+router.get('/healthz', (request, response, next) => {
+    if (!metricsEnabled) return next();
+    response.json({ status: 'ok', uptime: process.uptime(), activeCalls: Object.keys(currentCalls).length });
+});
+
+/*
+ * Reports call and webhook statistics, in the Prometheus text format.
+ */
+router.get('/metrics', (request, response, next) => {
+    if (!metricsEnabled) return next();
+    response.type('text/plain; version=0.0.4').send(formatMetrics(Object.values(metrics)));
+});
+
+router.use(express.json());
+router.use(express.urlencoded({extended: true}));
+router.use(validateSignature);
 
 
 /*
  * Handles the webhook to get the next step of the script.
  */
-app.post('/webhook', (request, response) => {
+router.post('/webhook', (request, response) => {
     log.debug('Webhook:', request.body);
     const sid = request.body.CallSid;
     if (sid && sid in currentCalls) {
         currentCalls[sid]._respondToWebhook(request, response);
     } else {
-        log.warn('Call', sid, 'not found in current calls');
-        response.status(204).end(); 
+        recoverCall(request, response, 'webhook')
+            .catch(err => recoveryFailed(request, response, err));
+    }
+});
+
+/*
+ * Handles Twilio's report that a webhook has failed.  If the call is unknown, the caller is told that there are
+ * difficulties, and the call is hung up.
+ */
+router.post('/fallback', (request, response) => {
+    log.warn('Fallback:', request.body);
+    const sid = request.body.CallSid;
+    if (sid && sid in currentCalls) {
+        currentCalls[sid]._respondToFallback(request, response);
+    } else {
+        orphanedCallback(request);
+        const twiml = makeTwiml();
+        twiml.say(difficultiesMessage);
+        twiml.hangup();
+        response.type('xml').send(twiml.toString()).end();
     }
 });
 
 /*
  * Handles status callbacks.
  */
-app.post('/status', (request, response) => {
+router.post('/status', (request, response) => {
     log.debug('Parent status:', request.body);
     const sid = request.body.CallSid;
     if (sid && sid in currentCalls) {
         currentCalls[sid]._respondToStatusCallback(request, response);
     } else {
-        log.warn('Call', sid, 'not found in current calls');
+        orphanedCallback(request);
+        if (sid && request.body.CallStatus === 'completed') {
+            removeCall(sid);
+        }
         response.status(204).end(); 
     }
 });
@@ -556,29 +1778,77 @@ app.post('/status', (request, response) => {
  * Handles the status callback at the end of a child call (or if it fails, is busy,
  * or times out, etc).
  */
-app.post('/dial', (request, response) => {
+router.post('/dial', (request, response) => {
     log.debug('Child status:', request.body);
     const sid = request.body.CallSid;
     if (sid && sid in currentCalls) {
         currentCalls[sid]._respondToChildStatusCallback(request, response);
     } else {
-        log.warn('Parent call', sid, 'not found in current calls');
-        response.status(204).end(); 
+        recoverCall(request, response, 'dial')
+            .catch(err => recoveryFailed(request, response, err));
     }
 });
 
 /*
- * Handles an inbound call by invoking the inboundScript function.
+ * Responds to a webhook for a call that is not in the current calls, e.g. because the server has been restarted,
+ * by recovering the call from the call-state store and invoking the recovery script.  If there is no recovery 
+ * script, an empty response is returned.
+ */
+async function recoverCall(request, response, eventSource) {
+    const sid = request.body.CallSid;
+    if (!isCallSid(sid) || !recoveryScript) {
+        orphanedCallback(request);
+        response.status(204).end();
+        return;
+    }
+    let state;
+    try {
+        state = await store.get(sid);
+    } catch (err) {
+        log.error('Unable to get call', sid, 'from the store:', err);
+    }
+    log.info('Recovering call', sid, state ? 'from the store' : 'without saved state');
+    Call._recover(state, request, response, eventSource);
+}
+
+/*
+ * Logs a failure to recover a call, and answers the webhook if it has not been answered already.
+ */
+function recoveryFailed(request, response, err) {
+    log.error('Unable to recover call', request.body.CallSid, ':', err);
+    if (!response.headersSent) response.status(500).end();
+}
+
+/*
+ * Finds the inbound route for a request: by path prefix, or else by called number.
  */
-app.post('/inbound', (request, response) => {
+function findInboundRoute(request) {
+    if (request.path !== '/inbound') {
+        return inboundRoutes.find(route => request.path === route.path + '/inbound');
+    }
+    return inboundRoutes.find(route => !route.path && route.phoneNumber === request.body.To);
+}
+
+/*
+ * Handles an inbound call by invoking the script registered for its path or called number,
+ * or else the inboundScript function.
+ */
+router.post(['/inbound', '/*/inbound'], (request, response) => {
     log.debug('Inbound call:', request.body);
     const sid = request.body.CallSid;
-    if (sid) {
-        const call = new Call(request.body);
+    const route = findInboundRoute(request);
+    if (!route && request.path !== '/inbound') {
+        log.warn('No inbound route for', request.path);
+        response.status(404).end();
+    } else if (sid) {
+        if (route) log.debug('Routing inbound call', sid, 'to', route.name);
+        const call = new Call(request.body, undefined, undefined, route && route.client);
         call.eventSource = 'inbound';
         currentCalls[sid] = call;
-        call._respondToInboundCall(response);
-        inboundScript(call);
+        call._respondToInboundCall(request, response);
+        Promise.resolve()
+            .then(() => (route ? route.script : inboundScript)(call))
+            .catch(err => call.handleError(err));
     } else {
         log.warn('Inbound call webhook did not contain a call SID');
         response.status(400).end(); 
@@ -588,21 +1858,94 @@ app.post('/inbound', (request, response) => {
 /*
  * Handles an asynchronous Answering Machine Detection status callback.
  */
-app.post('/amd', (request, response) => {
+router.post('/amd', (request, response) => {
     log.debug('Async AMD callback:', request.body);
     const sid = request.body.CallSid;
     if (sid && sid in currentCalls) {
         currentCalls[sid]._respondToAmdStatusCallback(request, response);
     } else {
-        log.warn('Call', sid, 'not found in current calls');
+        orphanedCallback(request);
+        response.status(204).end(); 
+    }
+});
+
+/*
+ * Handles a request for a queue's wait URL.
+ */
+router.post('/wait', (request, response) => {
+    log.debug('Queue wait:', request.body);
+    const sid = request.body.CallSid;
+    if (sid && sid in currentCalls) {
+        currentCalls[sid]._respondToWaitUrl(request, response);
+    } else {
+        orphanedCallback(request);
+        response.status(204).end(); 
+    }
+});
+
+/*
+ * Handles a recording status callback.
+ */
+router.post('/recording', (request, response) => {
+    log.debug('Recording status callback:', request.body);
+    const sid = request.body.CallSid;
+    if (sid && sid in currentCalls) {
+        currentCalls[sid]._respondToRecordingStatusCallback(request, response);
+    } else {
+        orphanedCallback(request);
+        response.status(204).end(); 
+    }
+});
+
+/*
+ * Handles a payment status callback.
+ */
+router.post('/pay', (request, response) => {
+    log.debug('Payment status callback:', request.body);
+    const sid = request.body.CallSid;
+    if (sid && sid in currentCalls) {
+        currentCalls[sid]._respondToPaymentStatusCallback(request, response);
+    } else {
+        orphanedCallback(request);
+        response.status(204).end(); 
+    }
+});
+
+/*
+ * Handles a partial speech results callback.
+ */
+router.post('/partial', (request, response) => {
+    log.debug('Partial results callback:', request.body);
+    const sid = request.body.CallSid;
+    if (sid && sid in currentCalls) {
+        currentCalls[sid]._respondToPartialResultsCallback(request, response);
+    } else {
+        orphanedCallback(request);
         response.status(204).end(); 
     }
 });
 
+/*
+ * Handles a message status callback.
+ */
+router.post('/message', (request, response) => {
+    log.debug('Message status callback:', request.body);
+    _respondToMessageStatusCallback(request, response);
+});
+
+/*
+ * Handles a conference status callback.
+ */
+router.post('/conference', (request, response) => {
+    log.debug('Conference status callback:', request.body);
+    _respondToConferenceStatusCallback(request, response);
+});
+
 
 /**
  * Returns the webhook or status callback URL for a particular purpose.
- * @param {string} key - One of ['webhook', 'status', 'dial', 'inbound', 'amd']
+ * @param {string} key - One of ['webhook', 'status', 'dial', 'inbound', 'amd', 'recording', 'stream', 'wait', 'pay', 
+ * 'message', 'conference', 'partial', 'fallback']
  * @returns {string} - The URL
  */
 export function getUrl(key) {
@@ -612,28 +1955,188 @@ export function getUrl(key) {
         case 'dial': return dialUrl;
         case 'inbound': return inboundUrl;
         case 'amd': return amdUrl;
+        case 'recording': return recordingStatusUrl;
+        case 'stream': return streamUrl;
+        case 'wait': return waitUrl;
+        case 'pay': return paymentStatusUrl;
+        case 'message': return messageStatusUrl;
+        case 'conference': return conferenceStatusUrl;
+        case 'partial': return partialResultsUrl;
+        case 'fallback': return fallbackUrl;
         default: throw new TypeError(`No URL for ${key}`);
     }
 }
 
+/*
+ * Returns the client used to access the Twilio REST API, for use by other toolkit modules.
+ */
+export function _getClient() {
+    return client;
+}
+
+/*
+ * Returns the current call with the given SID, if any, for use by other toolkit modules.
+ */
+export function _findCall(sid) {
+    return currentCalls[sid];
+}
+
+/*
+ * Points a Twilio phone number's voice URL at the server.
+ */
+async function provisionNumber(numberClient, phoneNumber, voiceUrl) {
+    const matchingNums = await numberClient.incomingPhoneNumbers.list({ phoneNumber });
+    if (matchingNums.length != 1) {
+        throw new Error(`Unable to configure ${phoneNumber}: not found in this account`);
+    }
+    const pn = await numberClient.incomingPhoneNumbers(matchingNums[0].sid)
+        .update({ voiceUrl, voiceFallbackUrl: fallbackUrl });
+    log.info('Provisioned', pn.friendlyName, 'with voice URL', pn.voiceUrl);
+}
+
 /**
- * Configures the Express server and sets it running. If no URL is specified, 
- * an attempt is made to use a locally running Ngrok tunnel. 
- * @param {Object} [options] - Options
+ * Configures the Express router which handles webhooks and callbacks, for mounting in an existing Express 
+ * application.  The application is responsible for starting its own server, and for calling attachStreams()
+ * if Media Streams are used.  Only one router is configured per process: calling createRouter() again 
+ * reconfigures it.
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Public URL at which the router is mounted, e.g. 'https://example.com/twilio'
+ * for a router mounted at '/twilio'.  Used to generate webhook and callback URLs, and to validate signatures.
  * @param {Object} [options.client] - Client with which to access the Twilio REST API.
  * Created from TWILIO_ACCOUNT_SID, TWILIO_API_KEY and TWILIO_API_SECRET if not specified.
+ * @param {string} [options.authToken] - Auth token used to validate the X-Twilio-Signature header of incoming
+ * requests. Taken from TWILIO_AUTH_TOKEN if not specified.
+ * @param {boolean} [options.validateSignature=true] - Set to false to accept unsigned requests, e.g. for local testing.
+ * @param {Function} [options.script] - Function to invoke upon post to '/inbound' webhook
+ * @param {string} [options.phoneNumber] - Configures a Twilio phone number to handle inbound calls
+ * @param {Object[]} [options.routes] - Additional inbound scripts, so that one server can host several of them.
+ * An inbound call is routed by the path of its webhook, or else by its called number, falling back to 
+ * options.script. Each route is of the form {name, script, phoneNumber, path, client, authToken}, where:
+ * name is used for logging; phoneNumber is the called number, which is configured to use the route;
+ * path is a prefix such as '/support', giving a webhook of '/support/inbound' for use by TwiML Apps or 
+ * numbers configured by hand; client and authToken are for a different account, if required.
+ * @param {Object} [options.store] - Call-state store, such as a FileStore, in which the properties of calls in 
+ * progress are saved.  Defaults to a MemoryStore.
+ * @param {Function} [options.recoveryScript] - Function to invoke, with a Call recovered from the store, when a 
+ * webhook arrives for a call that is not in progress in this process, e.g. after a restart.  If not specified, 
+ * an empty response is returned to such webhooks.
+ * @param {Object|Function|string} [options.eventLog] - Event log to which the timeline events of every call are 
+ * written, such as a JsonLinesFile: any object with a write(event) method, or a function which is passed each 
+ * event, or the path of a file to which events are appended as JSON lines.
+ * @param {string[]|Function} [options.redactParams=['Digits', 'SpeechResult']] - The webhook parameters to leave 
+ * out of timeline events, because they may contain personal information such as card or account numbers; or a 
+ * function which is passed a copy of the parameters of each webhook, and returns those to be recorded.
+ * @param {Function} [options.errorScript] - Function to invoke, with the Call and the error, when a script fails 
+ * while Twilio is waiting for TwiML, or when Twilio reports that a webhook has failed.  By default, the caller 
+ * is told that there are difficulties, and the call is hung up.
+ * @param {boolean} [options.metrics=true] - Set to false to stop serving the '/metrics' and '/healthz' endpoints.
+ * @param {number} [options.responseDeadline=10000] - Milliseconds to wait for a script to respond to a webhook, 
+ * after which holding TwiML is returned, to avoid Twilio's 15 second webhook timeout.  The holding TwiML 
+ * redirects back to the webhook, which returns the script's TwiML once it is ready.  0 waits indefinitely.
+ * @param {string} [options.holdMusicUrl] - URL of a short audio file to play while a call is held. 
+ * If not specified, there is a one second pause.
+ * @returns {Promise} - Promise that resolves to the Express router, once any phone numbers have been configured
+ */
+export async function createRouter(options) {
+    if (!options || !options.baseUrl) {
+        throw new TypeError('A baseUrl is required to create the router');
+    }
+    client = options.client || getClient();
+    inboundScript = options.script || defaultInboundScript;
+    inboundRoutes = (options.routes || []).map((route, index) => {
+        if (typeof route.script !== 'function') {
+            throw new TypeError(`Inbound route ${route.name || index} has no script`);
+        }
+        if (!route.path && !route.phoneNumber) {
+            throw new TypeError(`Inbound route ${route.name || index} needs a path or a phoneNumber`);
+        }
+        if (route.path && !/^\/[\w-]+$/.test(route.path)) {
+            throw new TypeError(`Inbound route path ${route.path} should be of the form '/name'`);
+        }
+        if (route.authToken && !route.client) {
+            throw new TypeError(`Inbound route ${route.name || index} has an authToken but no client`);
+        }
+        return { ...route, name: route.name || route.path || route.phoneNumber };
+    });
+    accounts = [];
+    inboundRoutes.filter(route => route.authToken).forEach(route => addAccount(route.client, route.authToken));
+    recoveryScript = options.recoveryScript;
+    store = options.store || new MemoryStore();
+    metricsEnabled = options.metrics !== false;
+    errorScript = options.errorScript || defaultErrorScript;
+    responseDeadline = options.responseDeadline ?? 10000;
+    holdMusicUrl = options.holdMusicUrl;
+    redactParams = options.redactParams || defaultRedactedParams;
+    eventLog = typeof options.eventLog === 'string' ? new JsonLinesFile(options.eventLog)
+        : typeof options.eventLog === 'function' ? { write: options.eventLog }
+        : options.eventLog;
+
+    if (options.validateSignature === false) {
+        log.warn('Twilio signature validation is disabled');
+        authToken = undefined;
+    } else {
+        authToken = getAuthToken(options.authToken);
+        if (!authToken) {
+            throw new Error('An auth token is required to validate Twilio signatures');
+        }
+    }
+
+    baseUrl = options.baseUrl.replace(/\/$/, '');
+    webhookUrl = baseUrl + '/webhook';
+    statusUrl = baseUrl + '/status';
+    dialUrl = baseUrl + '/dial';
+    inboundUrl = baseUrl + '/inbound';
+    amdUrl = baseUrl + '/amd';
+    recordingStatusUrl = baseUrl + '/recording';
+    streamUrl = baseUrl.replace(/^http/, 'ws') + '/stream';
+    waitUrl = baseUrl + '/wait';
+    paymentStatusUrl = baseUrl + '/pay';
+    messageStatusUrl = baseUrl + '/message';
+    conferenceStatusUrl = baseUrl + '/conference';
+    partialResultsUrl = baseUrl + '/partial';
+    fallbackUrl = baseUrl + '/fallback';
+    
+    if (options.phoneNumber) {
+        await provisionNumber(client, options.phoneNumber, inboundUrl);
+    }
+    for (let route of inboundRoutes) {
+        if (route.phoneNumber) {
+            await provisionNumber(route.client || client, route.phoneNumber, baseUrl + (route.path || '') + '/inbound');
+        }
+    }
+    return router;
+}
+
+/**
+ * Attaches the WebSocket endpoint for Media Streams to an HTTP server, such as the one returned by Express's
+ * app.listen().  The endpoint's path is '/stream' under the path of the baseUrl given to createRouter().
+ * Not required if setup() is used.
+ * @param {Object} httpServer - The HTTP server
+ * @returns {WebSocketServer} - The WebSocket server, which should be closed when the HTTP server is shut down
+ */
+export function attachStreams(httpServer) {
+    return attachStreamServer(httpServer, new URL(streamUrl).pathname, (start, request) => {
+        const call = currentCalls[start.callSid];
+        if (call && authToken && request.twilioAuthToken !== call._authToken) {
+            log.warn('Media Stream for call', start.callSid, 'was signed by another account');
+            return undefined;
+        }
+        return call && call._claimStream();
+    }, validStreamSignature);
+}
+
+/**
+ * Configures the Express server and sets it running, using the router from createRouter().
+ * If no URL is specified, an attempt is made to use a locally running Ngrok tunnel. 
+ * @param {Object} [options] - Options, including those of createRouter() other than baseUrl
  * @param {string} [options.serverUrl] - Server URL for webhooks and callbacks. If not specified, uses
  * Ngrok tunnel public URL.
  * @param {string} [options.port] - Server TCP port. If not specified, uses Ngrok local port, 
  * or 3000 if not using Ngrok.
- * @param {Function} [options.script] - Function to invoke upon post to '/inbound' webhook
- * @param {string} [options.phoneNumber] - Configures a Twilio phone number to handle inbound calls
  * @returns {Promise} - Promise resolved when server has been started
  */
 export async function setup(options={}) {
-    client = options.client || getClient();
-    inboundScript = options.script || defaultInboundScript;
-
+    let serverUrl;
     if (options.serverUrl) {
         serverUrl = options.serverUrl;
         port = options.port || DEFAULT_PORT;
@@ -643,27 +2146,12 @@ export async function setup(options={}) {
         port = info.localPort;
     }
 
-    webhookUrl = serverUrl + webhookUrl;
-    statusUrl = serverUrl + statusUrl;
-    dialUrl = serverUrl + dialUrl;
-    inboundUrl = serverUrl + inboundUrl;
-    amdUrl = serverUrl + amdUrl;
-    
-    if (options.phoneNumber) {
-        const matchingNums = await client.incomingPhoneNumbers.list({
-            phoneNumber: options.phoneNumber
-        });
-        if (matchingNums.length != 1) {
-            throw new Error(`Unable to configure ${options.phoneNumber}: not found in this account`);
-        }
-        const pn = await client.incomingPhoneNumbers(matchingNums[0].sid).update({
-            voiceUrl: inboundUrl
-        });
-        log.info('Provisioned', pn.friendlyName, 'with voice URL', pn.voiceUrl);
-    }
+    const app = express();
+    app.use(await createRouter({ ...options, baseUrl: serverUrl }));
     
     log.info('Starting server on port', port, 'with URL', serverUrl)
     server = app.listen(port);
+    streamServer = attachStreams(server);
 }
 
 /**
@@ -673,5 +2161,7 @@ export async function setup(options={}) {
  * @returns {Promise} - Promise resolved when the sever has been shut down.
  */
 export function shutDown(callback) {
+    streamServer.clients.forEach(socket => socket.terminate());
+    streamServer.close();
     return server.close(callback);
 }
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * @module campaign
+ *
+ * @description The campaign module provides the Campaign class, which runs an outbound script for each of a list
+ * of contacts, such as appointment reminders for a day's patients.  Scripts are run with a limit on the number of
+ * concurrent calls, and on the number of calls started per second, to stay within the account's CPS limit.
+ * Busy and unanswered calls are retried after a delay, and calls are only started within calling hours, in the
+ * contact's own timezone.
+ *
+ * The script is passed the contact, and reports its result by setting the contact's outcome, reason and sipCode
+ * properties, as the sample apps do.  Once the campaign has finished, a report can be produced in CSV.
+ *
+ * @example
+ * const campaign = await Campaign.fromCsv('contacts.csv', script, {
+ *     concurrency: 5,
+ *     callsPerSecond: 1,
+ *     callingHours: { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5] },
+ *     timezone: 'America/New_York',
+ * });
+ * await campaign.run();
+ * console.log(campaign.summary());
+ * await fs.writeFile('report.csv', campaign.report());
+ */
+
+import fs from 'node:fs/promises';
+import log from 'loglevel';
+import { Timeout } from './utils/timeout.js';
+import { parseCsv, toCsv } from './utils/csv.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/*
+ * Converts a time of day, such as '09:30', to minutes after midnight.
+ */
+function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new TypeError(`Invalid time of day ${time}; expected HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/*
+ * Checks that a timezone is known.
+ */
+function checkTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (err) {
+        throw new TypeError(`Unknown timezone ${timeZone}`);
+    }
+}
+
+/*
+ * Returns the number of milliseconds from a date until the next calling hours in a timezone,
+ * or 0 if the date is within calling hours.
+ */
+export function _timeUntilCallingHours(date, callingHours, timeZone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US',
+        { timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23' });
+    for (let part of format.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    const now = Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60;
+    const today = weekdays.indexOf(parts.weekday);
+    const start = toMinutes(callingHours.start);
+    const end = toMinutes(callingHours.end);
+    const days = callingHours.days || [0, 1, 2, 3, 4, 5, 6];
+
+    for (let offset = 0; offset <= 7; offset++) {
+        if (!days.includes((today + offset) % 7)) continue;
+        if (offset === 0 && now >= end) continue;
+        const minutes = Math.max(0, offset * MINUTES_PER_DAY + start - now);
+        return Math.round(minutes * 60000);
+    }
+    throw new TypeError('Calling hours have no days');
+}
+
+/**
+ * @classdesc
+ * Runs an outbound script for each of a list of contacts.
+ */
+export class Campaign {
+    #contacts;
+    #script;
+    #options;
+    #active = 0;            // Number of scripts running
+    #slotWaiters = [];      // Contacts waiting for a script to finish before they can start
+    #nextStart = 0;         // Earliest time at which the next call may be started
+
+    /**
+     * Creates a campaign.
+     * @constructs
+     * @param {Object[]} contacts - The contacts, which are passed to the script, and which will hold the results
+     * @param {Function} script - Async function which is passed a contact, makes a call, and sets the contact's
+     * outcome, reason and sipCode properties.  If it throws, the outcome is 'failed' and the reason is the message.
+     * @param {Object} [options] - Options
+     * @param {number} [options.concurrency=1] - The maximum number of scripts to run at once
+     * @param {number} [options.callsPerSecond=1] - The maximum number of scripts to start per second
+     * @param {number} [options.maxAttempts=3] - The maximum number of times to call each contact
+     * @param {number} [options.retryDelay=600000] - Milliseconds to wait before calling a contact again
+     * @param {Function} [options.shouldRetry] - Function which is passed a contact after an attempt, and returns
+     * true if it should be called again.  By default, calls which are busy or not answered are retried, i.e. those
+     * with an outcome of 'no answer' and a reason of 'busy' or 'no-answer'.
+     * @param {Object} [options.callingHours] - Calling hours, of the form {start, end, days}, where start and
+     * end are times of day such as '09:00' and '20:00', and days are the days of the week on which calls may be
+     * made, where 0 is Sunday.  If not given, calls may be made at any time.
+     * @param {string} [options.timezone] - IANA timezone of the calling hours, such as 'America/New_York', for
+     * contacts without a timezone property.  Defaults to the local timezone.
+     * @param {Function} [options.onResult] - Function which is passed each contact once it has its final result
+     */
+    constructor(contacts, script, options={}) {
+        this.#contacts = contacts;
+        this.#script = script;
+        this.#options = {
+            concurrency: 1,
+            callsPerSecond: 1,
+            maxAttempts: 3,
+            retryDelay: 600000,
+            shouldRetry: contact => contact.outcome === 'no answer' && ['busy', 'no-answer'].includes(contact.reason),
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            ...options
+        };
+        if (!(this.#options.concurrency >= 1)) throw new TypeError('Concurrency must be at least 1');
+        if (!(this.#options.callsPerSecond > 0)) throw new TypeError('Calls per second must be greater than 0');
+        checkTimezone(this.#options.timezone);
+        if (this.#options.callingHours) {
+            _timeUntilCallingHours(new Date(), this.#options.callingHours, this.#options.timezone);
+        }
+    }
+
+    /**
+     * Creates a campaign from a CSV file, with a header row naming the properties of the contacts.
+     * @param {string} file - The path of the file
+     * @param {Function} script - See the constructor
+     * @param {Object} [options] - See the constructor
+     * @returns {Promise} - Promise that resolves to the Campaign
+     */
+    static async fromCsv(file, script, options={}) {
+        return new Campaign(parseCsv(await fs.readFile(file, 'utf8')), script, options);
+    }
+
+    /**
+     * Runs the script for every contact, including any retries.
+     * @returns {Promise} - Promise that resolves to the contacts, with their results, once every contact has
+     * a final result
+     */
+    async run() {
+        await Promise.all(this.#contacts.map(contact => this.#runContact(contact)));
+        return this.#contacts;
+    }
+
+    /**
+     * Counts the contacts by outcome.
+     * @returns {Object} - The number of contacts with each outcome, indexed by outcome
+     */
+    summary() {
+        const counts = {};
+        for (let contact of this.#contacts) {
+            const outcome = contact.outcome || 'not called';
+            counts[outcome] = (counts[outcome] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Produces a report of the contacts and their results, in CSV.
+     * @returns {string} - The report
+     */
+    report() {
+        return toCsv(this.#contacts);
+    }
+
+    /*
+     * Calls a contact, as many times as needed.
+     */
+    async #runContact(contact) {
+        const { maxAttempts, retryDelay, shouldRetry, onResult } = this.#options;
+        contact.attempts = 0;
+        while (contact.attempts < maxAttempts) {
+            if (contact.attempts > 0) {
+                await new Timeout(retryDelay).wait();
+            }
+            try {
+                await this.#waitToCall(contact);
+            } catch (err) {
+                contact.outcome = 'failed';
+                contact.reason = err.message;
+                break;
+            }
+            try {
+                delete contact.outcome;
+                delete contact.reason;
+                delete contact.sipCode;
+                contact.attempts++;
+                await this.#script(contact);
+            } catch (err) {
+                contact.outcome = 'failed';
+                contact.reason = err.message;
+            } finally {
+                this.#releaseSlot();
+            }
+            log.debug('Campaign attempt', contact.attempts, 'to', contact.to, 'had outcome', contact.outcome);
+            if (!shouldRetry(contact)) break;
+        }
+        if (onResult) onResult(contact);
+    }
+
+    /*
+     * Waits until a contact may be called: within calling hours, with a free slot, and within the calls per second
+     * limit.  Waiting for a slot can take the contact past the end of its calling hours, in which case the slot
+     * is given up and the wait starts again.
+     */
+    async #waitToCall(contact) {
+        for (;;) {
+            await this.#waitForCallingHours(contact);
+            await this.#acquireSlot();
+            await this.#throttle();
+            if (this.#timeUntilCallingHours(contact) === 0) return;
+            log.debug('Calling hours ended while waiting to call', contact.to);
+            this.#releaseSlot();
+        }
+    }
+
+    /*
+     * Waits until it is within calling hours for a contact.
+     */
+    async #waitForCallingHours(contact) {
+        const delay = this.#timeUntilCallingHours(contact);
+        if (delay > 0) {
+            log.debug('Waiting', delay, 'ms for calling hours to call', contact.to);
+            await new Timeout(delay).wait();
+        }
+    }
+
+    /*
+     * Returns the number of milliseconds until calling hours for a contact, or 0 if it may be called now.
+     */
+    #timeUntilCallingHours(contact) {
+        const { callingHours, timezone } = this.#options;
+        if (!callingHours) return 0;
+        const timeZone = contact.timezone || timezone;
+        checkTimezone(timeZone);
+        return _timeUntilCallingHours(new Date(), callingHours, timeZone);
+    }
+
+    /*
+     * Waits until fewer than the maximum number of scripts are running.
+     */
+    async #acquireSlot() {
+        if (this.#active < this.#options.concurrency) {
+            this.#active++;
+            return;
+        }
+        await new Promise(fulfill => this.#slotWaiters.push(fulfill));   // The slot is handed over by a script
+    }
+
+    /*
+     * Hands a script's slot to the next waiting contact, if any.
+     */
+    #releaseSlot() {
+        const next = this.#slotWaiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.#active--;
+        }
+    }
+
+    /*
+     * Waits until the next call may be started without exceeding the calls per second limit.
+     */
+    async #throttle() {
+        const now = Date.now();
+        const start = Math.max(now, this.#nextStart);
+        this.#nextStart = start + 1000 / this.#options.callsPerSecond;
+        if (start > now) {
+            await new Timeout(start - now).wait();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,337 @@
+/**
+ * @module conference
+ *
+ * @description The conference module provides the Conference class, which tracks a conference through its status
+ * callbacks, and controls its participants through the REST API. Conference events, such as participants joining
+ * and leaving, or being muted or put on hold, may be awaited by a script.
+ *
+ * @example
+ * const conference = new Conference('MyConf');
+ * conference.join(call);
+ * call.sendResponse();
+ * const event = await conference.nextEvent('participant-join');
+ * await conference.mute(event.callSid);
+ * await conference.waitForEnd();
+ * console.log('The conference has emptied out');
+ */
+
+import log from 'loglevel';
+import { forbiddenAttributes } from './utils/twiml.js';
+import { getUrl, _getClient, _abortable } from './call.js';
+
+const conferences = {};     // Associative array of tracked conferences, indexed by friendly name
+
+const conferenceEvents = ['start', 'end', 'join', 'leave', 'mute', 'hold', 'modify'];
+
+/*
+ * Returns the call SID of a participant, given either a Call object or a call SID.
+ */
+function callSidOf(participant) {
+    return typeof participant === 'string' ? participant : participant.sid;
+}
+
+/**
+ * @classdesc
+ * Represents a conference, and the state of its participants, as reported by conference status callbacks.
+ * <br>See {@link https://www.twilio.com/docs/voice/api/conference-resource}
+ */
+export class Conference {
+    #eventWaiters = [];     // Promises waiting on conference events: {fulfill, events}
+    #endWaiters = [];       // Promises waiting on the end of the conference
+    #client;                // Client used to access the REST API for this conference
+
+    /**  The name of the conference, as used in &lt;Dial&gt;&lt;Conference&gt;  */
+    friendlyName;
+
+    /**  The SID of the conference, once it has started  */
+    sid;
+
+    /**  The status of the conference: ['init', 'in-progress', 'completed']  */
+    status = 'init';
+
+    /**
+     * The current participants, indexed by call SID.  Each participant is of the form
+     * {callSid, label, muted, hold, coaching}.
+     */
+    participants = new Map();
+
+    /**  The most recent conference event.  See nextEvent().  */
+    lastEvent;
+
+    /**
+     * Creates a Conference object, which receives status callbacks for the conference with the given name.
+     * Once the conference has ended, the object no longer receives status callbacks.
+     * @constructs
+     * @param {string} friendlyName - The name of the conference
+     * @param {Object} [options] - Options
+     * @param {Object} [options.client] - Client with which to control the conference, e.g. for a different account.
+     *                 Defaults to the client of the first call to join it, or else the client passed to setup().
+     */
+    constructor(friendlyName, options={}) {
+        if (friendlyName in conferences) {
+            throw new Error(`Conference ${friendlyName} is already being tracked`);
+        }
+        this.friendlyName = friendlyName;
+        this.#client = options.client;
+        conferences[friendlyName] = this;
+    }
+
+    /**
+     * Finds a tracked conference by name.
+     * @param {string} friendlyName - The name of the conference
+     * @returns {Conference} - The Conference, or undefined if it is not being tracked
+     */
+    static find(friendlyName) {
+        return conferences[friendlyName];
+    }
+
+    /**
+     * Adds &lt;Dial&gt;&lt;Conference&gt; to a call's TwiML, so that the call joins this conference when the
+     * TwiML is sent, with status callbacks for all conference events.
+     * @param {Call} call - The call to join to the conference
+     * @param {Object} [attributes] - See {@link https://www.twilio.com/docs/voice/twiml/conference}
+     *                 DO NOT set the statusCallback URL; this will be handled automatically.
+     * @returns {Conference} - See [VoiceResponse.Conference]{@link https://www.twilio.com/docs/libraries/reference/twilio-node/4.8.0/classes/twiml_VoiceResponse.Dial.html#conference}
+     */
+    join(call, attributes={}) {
+        this.#client ??= call._client;
+        return call.dial().conference(
+            { statusCallbackEvent: conferenceEvents.join(' '), ...attributes },
+            this.friendlyName
+        );
+    }
+
+    /**
+     * Waits for the next conference event.  The event is also saved in the lastEvent property.
+     * @param {...string} [events] - If given, only wait for these events: ['conference-start', 'conference-end',
+     * 'participant-join', 'participant-leave', 'participant-mute', 'participant-unmute', 'participant-hold',
+     * 'participant-unhold', 'participant-modify'].  The last argument may instead be an object of options:
+     * {signal}, where signal is an AbortSignal which stops the wait.  If it is aborted first, the Promise is 
+     * rejected with the signal's reason.
+     * @returns {Promise} - Promise that resolves to the event, of the form
+     * {event, callSid, label, muted, hold, coaching, timestamp}
+     */
+    nextEvent(...events) {
+        const options = typeof events.at(-1) === 'object' ? events.pop() : {};
+        const waiter = { events };
+        return _abortable(
+            new Promise(fulfill => {
+                waiter.fulfill = fulfill;
+                this.#eventWaiters.push(waiter);
+            }),
+            options.signal,
+            () => this.#eventWaiters = this.#eventWaiters.filter(other => other !== waiter)
+        );
+    }
+
+    /**
+     * Waits for the conference to end, which happens when the last participant leaves, or when a participant
+     * with endConferenceOnExit leaves.
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal which stops the wait.  If it is aborted first, the Promise is
+     * rejected with the signal's reason.
+     * @returns {Promise} - Promise that resolves to the Conference object
+     */
+    waitForEnd(options={}) {
+        if (this.status === 'completed') {
+            return Promise.resolve(this);
+        }
+        let waiter;
+        return _abortable(
+            new Promise(fulfill => {
+                waiter = fulfill;
+                this.#endWaiters.push(waiter);
+            }),
+            options.signal,
+            () => this.#endWaiters = this.#endWaiters.filter(other => other !== waiter)
+        );
+    }
+
+    /**
+     * Adds a participant to the conference by making an outbound call, using the REST API.  The call is
+     * not associated with a script.
+     * @param {string} to - The number, SIP URI or client id to call
+     * @param {string} from - The calling number
+     * @param {Object} [options] - Participant options, such as label, muted or timeout.
+     *                 @see {@link https://www.twilio.com/docs/voice/api/conference-participant-resource#create-a-participant-resource}
+     *                 DO NOT set the statusCallback or conferenceStatusCallback properties.
+     * @returns {Promise} - Promise that resolves to the call SID of the new participant
+     */
+    async addParticipant(to, from, options={}) {
+        for (let option in options) {
+            if (forbiddenAttributes.includes(option) || option.startsWith('conferenceStatusCallback'))
+                throw new TypeError(`${option} is not allowed in Conference.addParticipant()`);
+        }
+        const participant = await this.#getClient().conferences(this.sid || this.friendlyName).participants.create({
+            ...options,
+            to,
+            from,
+            conferenceStatusCallback: getUrl('conference'),
+            conferenceStatusCallbackEvent: conferenceEvents,
+        });
+        return participant.callSid;
+    }
+
+    /**
+     * Mutes a participant.
+     * @param {Call|string} participant - The participant's Call object or call SID
+     * @returns {Promise} - Promise that resolves to the Conference object once the participant has been muted
+     */
+    mute(participant) {
+        return this.#updateParticipant(participant, {muted: true});
+    }
+
+    /**
+     * Unmutes a participant.
+     * @param {Call|string} participant - The participant's Call object or call SID
+     * @returns {Promise} - Promise that resolves to the Conference object once the participant has been unmuted
+     */
+    unmute(participant) {
+        return this.#updateParticipant(participant, {muted: false});
+    }
+
+    /**
+     * Puts a participant on hold.
+     * @param {Call|string} participant - The participant's Call object or call SID
+     * @param {string} [holdUrl] - URL of audio or TwiML to be played to the participant while on hold
+     * @returns {Promise} - Promise that resolves to the Conference object once the participant is on hold
+     */
+    hold(participant, holdUrl) {
+        const params = {hold: true};
+        if (holdUrl) params.holdUrl = holdUrl;
+        return this.#updateParticipant(participant, params);
+    }
+
+    /**
+     * Takes a participant off hold.
+     * @param {Call|string} participant - The participant's Call object or call SID
+     * @returns {Promise} - Promise that resolves to the Conference object once the participant is off hold
+     */
+    unhold(participant) {
+        return this.#updateParticipant(participant, {hold: false});
+    }
+
+    /**
+     * Makes a participant a coach, who can be heard only by the participant being coached.
+     * @param {Call|string} participant - The coach's Call object or call SID
+     * @param {Call|string} coached - The Call object or call SID of the participant being coached
+     * @returns {Promise} - Promise that resolves to the Conference object once coaching has started
+     */
+    coach(participant, coached) {
+        return this.#updateParticipant(participant, {coaching: true, callSidToCoach: callSidOf(coached)});
+    }
+
+    /**
+     * Stops a participant from coaching, so that they can be heard by everyone.
+     * @param {Call|string} participant - The coach's Call object or call SID
+     * @returns {Promise} - Promise that resolves to the Conference object once coaching has stopped
+     */
+    stopCoaching(participant) {
+        return this.#updateParticipant(participant, {coaching: false});
+    }
+
+    /**
+     * Removes a participant from the conference.  If the participant's call has a script, it continues
+     * after the &lt;Dial&gt;.
+     * @param {Call|string} participant - The participant's Call object or call SID
+     * @returns {Promise} - Promise that resolves to the Conference object once the participant has been removed
+     */
+    async kick(participant) {
+        await this.#getClient().conferences(this.#getSid()).participants(callSidOf(participant)).remove();
+        return this;
+    }
+
+    /**
+     * Ends the conference, removing all its participants.
+     * @returns {Promise} - Promise that resolves to the Conference object
+     */
+    async end() {
+        await this.#getClient().conferences(this.#getSid()).update({status: 'completed'});
+        return this;
+    }
+
+    /*
+     * Returns the client used to access the REST API for this conference.
+     */
+    #getClient() {
+        return this.#client || _getClient();
+    }
+
+    /*
+     * Returns the conference SID, which is only known once the conference has started.
+     */
+    #getSid() {
+        if (!this.sid) {
+            throw new Error(`Conference ${this.friendlyName} has not started`);
+        }
+        return this.sid;
+    }
+
+    /*
+     * Updates a participant through the REST API.
+     */
+    async #updateParticipant(participant, params) {
+        await this.#getClient().conferences(this.#getSid()).participants(callSidOf(participant)).update(params);
+        return this;
+    }
+
+    /*
+     * Updates the conference and its participants in response to a status callback, and resolves
+     * any Promises waiting on the event.
+     */
+    _receiveEvent(params) {
+        const event = {
+            event: params.StatusCallbackEvent,
+            callSid: params.CallSid,
+            label: params.ParticipantLabel,
+            muted: params.Muted === 'true',
+            hold: params.Hold === 'true',
+            coaching: params.Coaching === 'true',
+            timestamp: params.Timestamp,
+        };
+        this.sid = params.ConferenceSid;
+        this.lastEvent = event;
+
+        switch (event.event) {
+            case 'conference-start':
+                this.status = 'in-progress';
+                break;
+            case 'conference-end':
+                this.status = 'completed';
+                this.participants.clear();
+                delete conferences[this.friendlyName];
+                break;
+            case 'participant-leave':
+                this.participants.delete(event.callSid);
+                break;
+            default:
+                if (event.callSid) {
+                    const { callSid, label, muted, hold, coaching } = event;
+                    this.participants.set(callSid, { callSid, label, muted, hold, coaching });
+                }
+                break;
+        }
+
+        this.#eventWaiters = this.#eventWaiters.filter(waiter => {
+            if (waiter.events.length > 0 && !waiter.events.includes(event.event)) return true;
+            waiter.fulfill(event);
+            return false;
+        });
+        if (this.status === 'completed') {
+            this.#endWaiters.splice(0).forEach(fulfill => fulfill(this));
+        }
+    }
+}
+
+/*
+ * Passes a conference status callback to the Conference object being tracked under the conference's name.
+ */
+export function _respondToConferenceStatusCallback(request, response) {
+    const conference = conferences[request.body.FriendlyName];
+    if (conference) {
+        conference._receiveEvent(request.body);
+    } else {
+        log.debug('Conference', request.body.FriendlyName, 'is not being tracked');
+    }
+    response.status(204).end();
+}
\ No newline at end of file
@@ -0,0 +1,375 @@
+/**
+ * @module flow
+ *
+ * @description The flow module runs call flows that are defined as data, in JSON or YAML, in the style of
+ * Twilio Studio.  A flow is a list of widgets, such as say, gather, split-on-digits, dial, make-call, set-variable
+ * and http-request, each of which names the widget to go to next.  Where a flow needs more than the widgets
+ * provide, a function widget calls a named JavaScript function.  Flows are validated when they are loaded, so that
+ * mistakes are reported before any calls are made.
+ *
+ * Widget fields may contain templates such as '{{variables.name}}', '{{widgets.ask.digits}}' or '{{call.from}}',
+ * which are replaced by the flow's variables, the results of earlier widgets, or the properties of the call.
+ *
+ * @example
+ * # greeting.yaml
+ * widgets:
+ *   - name: ask
+ *     type: gather
+ *     prompt: Press 1 for sales, or 2 for support.
+ *     attributes: { numDigits: 1 }
+ *     next: route
+ *   - name: route
+ *     type: split-on-digits
+ *     cases: { "1": sales, "2": support }
+ *     default: ask
+ *   - name: sales
+ *     type: dial
+ *     to: "+16175550001"
+ *   - name: support
+ *     type: function
+ *     function: openTicket
+ *
+ * @example
+ * const flow = await loadFlow('greeting.yaml', { functions: { openTicket } });
+ * await setup({ script: call => flow.run(call) });
+ */
+
+import fs from 'node:fs/promises';
+import log from 'loglevel';
+import YAML from 'yaml';
+import { Call, CallEndedException } from './call.js';
+
+const DEFAULT_MAX_STEPS = 1000;
+const DEFAULT_HTTP_TIMEOUT = 10000;
+
+// For each type of widget: the fields it requires, and the fields which name the next widget
+const widgetTypes = {
+    'say': { required: ['text'], transitions: ['next'] },
+    'gather': { required: ['prompt'], transitions: ['next', 'noInput'] },
+    'split-on-digits': { required: ['cases'], transitions: ['default'] },
+    'dial': { required: ['to'], transitions: ['next', 'failed'] },
+    'make-call': { required: ['to', 'from'], transitions: ['next', 'failed'] },
+    'set-variable': { required: ['variables'], transitions: ['next'] },
+    'http-request': { required: ['url'], transitions: ['next', 'failed'] },
+    'function': { required: ['function'], transitions: ['next'] },
+    'hangup': { required: [], transitions: [] },
+};
+
+/**
+ * @classdesc
+ * Thrown when a flow definition is invalid.  The message lists every problem that was found.
+ */
+export class FlowValidationError extends Error {
+    /**
+     * @constructs
+     * @param {string} flowName - The name of the flow
+     * @param {string[]} problems - Descriptions of the problems
+     */
+    constructor(flowName, problems) {
+        super(`Flow ${flowName} is invalid:\n  ${problems.join('\n  ')}`);
+        this.problems = problems;
+    }
+}
+
+/*
+ * Looks up a dotted path, such as 'widgets.ask.digits', in the flow context.
+ */
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => value == null ? undefined : value[key], context);
+}
+
+/*
+ * Replaces the templates in a widget field with values from the flow context.  A field which consists of a
+ * single template takes the value as is, so that numbers and objects may be passed through.
+ */
+function render(field, context) {
+    if (typeof field === 'string') {
+        const single = field.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (single) return lookup(context, single[1]);
+        return field.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => lookup(context, path) ?? '');
+    }
+    if (Array.isArray(field)) {
+        return field.map(item => render(item, context));
+    }
+    if (field && typeof field === 'object') {
+        return Object.fromEntries(Object.entries(field).map(([key, value]) => [key, render(value, context)]));
+    }
+    return field;
+}
+
+/**
+ * @classdesc
+ * A validated call flow, which may be run against any number of calls.
+ */
+export class Flow {
+    #widgets = new Map();       // Widgets indexed by name
+    #functions;
+    #maxSteps;
+
+    /**  The name of the flow  */
+    name;
+
+    /**  The name of the first widget  */
+    start;
+
+    /**
+     * Creates a flow from its definition, after validating it.
+     * @constructs
+     * @param {Object} definition - The flow definition, of the form {name, start, widgets}, where start is
+     * the name of the first widget, defaulting to the first in the list.  Each widget is of the form
+     * {name, type, ...fields}.  See the README for the fields of each type of widget.
+     * @param {Object} [options] - Options
+     * @param {Object} [options.functions] - Functions that may be called by function widgets, indexed by name.
+     * Each is passed the Call (if any) and the flow context, {variables, widgets}, and may return the name of
+     * the next widget, to override the widget's next field.
+     * @param {number} [options.maxSteps=1000] - The maximum number of widgets run in one call, to stop a flow
+     * that loops forever
+     * @throws {FlowValidationError} - If the definition is invalid
+     */
+    constructor(definition, options={}) {
+        this.name = (definition && definition.name) || 'flow';
+        this.#functions = options.functions || {};
+        this.#maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+
+        const problems = this.#validate(definition);
+        if (problems.length > 0) {
+            throw new FlowValidationError(this.name, problems);
+        }
+        for (let widget of definition.widgets) {
+            this.#widgets.set(widget.name, widget);
+        }
+        this.start = definition.start || definition.widgets[0].name;
+    }
+
+    /**
+     * Creates a flow from JSON or YAML text.
+     * @param {string} text - The flow definition
+     * @param {Object} [options] - See the constructor
+     * @returns {Flow}
+     * @throws {FlowValidationError} - If the text cannot be parsed, or the definition is invalid
+     */
+    static parse(text, options={}) {
+        let definition;
+        try {
+            definition = YAML.parse(text);      // YAML is a superset of JSON
+        } catch (err) {
+            throw new FlowValidationError('flow', [`unable to parse definition: ${err.message}`]);
+        }
+        return new Flow(definition, options);
+    }
+
+    /*
+     * Checks a flow definition, returning a list of problems.
+     */
+    #validate(definition) {
+        if (!definition || typeof definition !== 'object' || !Array.isArray(definition.widgets)) {
+            return ['the definition must have a list of widgets'];
+        }
+        if (definition.widgets.length === 0) {
+            return ['the flow has no widgets'];
+        }
+
+        const problems = [];
+        const names = new Set();
+        definition.widgets.forEach((widget, index) => {
+            if (!widget || typeof widget.name !== 'string' || !widget.name) {
+                problems.push(`widget ${index + 1} has no name`);
+            } else if (names.has(widget.name)) {
+                problems.push(`widget '${widget.name}' is defined more than once`);
+            } else {
+                names.add(widget.name);
+            }
+        });
+
+        const checkTransition = (label, field, target) => {
+            if (target !== undefined && !names.has(target)) {
+                problems.push(`${label}: ${field} refers to unknown widget '${target}'`);
+            }
+        };
+
+        definition.widgets.forEach((widget, index) => {
+            if (!widget) return;
+            const label = `widget '${widget.name || index + 1}'`;
+            const type = widgetTypes[widget.type];
+            if (!type) {
+                problems.push(`${label}: unknown type '${widget.type}'; ` +
+                              `expected one of ${Object.keys(widgetTypes).join(', ')}`);
+                return;
+            }
+            for (let field of type.required) {
+                if (widget[field] === undefined) {
+                    problems.push(`${label} (${widget.type}): '${field}' is required`);
+                }
+            }
+            for (let field of type.transitions) {
+                checkTransition(label, field, widget[field]);
+            }
+            if (widget.type === 'split-on-digits' && widget.cases !== undefined) {
+                if (typeof widget.cases !== 'object' || Array.isArray(widget.cases)) {
+                    problems.push(`${label} (split-on-digits): 'cases' must map digits onto widget names`);
+                } else {
+                    for (let digits in widget.cases) {
+                        checkTransition(label, `case '${digits}'`, widget.cases[digits]);
+                    }
+                }
+            }
+            if (widget.type === 'set-variable' && widget.variables !== undefined &&
+                    (typeof widget.variables !== 'object' || Array.isArray(widget.variables))) {
+                problems.push(`${label} (set-variable): 'variables' must map names onto values`);
+            }
+            if (widget.type === 'function' && widget.function !== undefined &&
+                    typeof this.#functions[widget.function] !== 'function') {
+                problems.push(`${label} (function): no function named '${widget.function}' was provided`);
+            }
+        });
+
+        if (definition.start !== undefined && !names.has(definition.start)) {
+            problems.push(`start refers to unknown widget '${definition.start}'`);
+        }
+        return problems;
+    }
+
+    /**
+     * Runs the flow.  If the call is still in progress when the flow comes to an end, it is hung up.
+     * @param {Call} [call] - The call, which may be omitted if the flow begins with a make-call widget
+     * @param {Object} [variables] - The initial values of the flow's variables
+     * @returns {Promise} - Promise that resolves to the flow context, of the form {variables, widgets, call},
+     * once the flow has ended, or the call has been hung up
+     */
+    async run(call, variables={}) {
+        const context = { variables: { ...variables }, widgets: {}, call };
+        let name = this.start;
+        try {
+            for (let steps = 0; name; steps++) {
+                if (steps >= this.#maxSteps) {
+                    throw new Error(`Flow ${this.name} exceeded ${this.#maxSteps} steps`);
+                }
+                const widget = this.#widgets.get(name);
+                log.debug('Flow', this.name, 'running widget', name);
+                name = await this.#runWidget(widget, context);
+            }
+            if (context.call && context.call.status === 'in-progress') {
+                context.call.hangup();
+                await context.call.sendResponse();
+            }
+        } catch (err) {
+            if (!(err instanceof CallEndedException)) {
+                context.call?.handleError(err);         // So that the caller does not hear dead air
+                throw err;
+            }
+            log.debug('Flow', this.name, 'ended by hangup');
+        }
+        return context;
+    }
+
+    /*
+     * Runs a widget, and returns the name of the next widget, or undefined at the end of the flow.
+     */
+    async #runWidget(widget, context) {
+        const field = name => render(widget[name], context);
+        const call = context.call;
+        if (!call && !['make-call', 'set-variable', 'http-request', 'function'].includes(widget.type)) {
+            throw new Error(`Widget ${widget.name} needs a call: run the flow with a Call, or begin with make-call`);
+        }
+
+        switch (widget.type) {
+            case 'say':
+                call.say(field('attributes') || {}, String(field('text')));
+                return widget.next;
+
+            case 'gather': {
+                call.gather(field('attributes') || {}).say(String(field('prompt')));
+                await call.sendResponse();
+                const { digits, speechResult, confidence } = call;
+                context.widgets[widget.name] = { digits, speechResult, confidence };
+                return (digits || speechResult) ? widget.next : (widget.noInput ?? widget.next);
+            }
+
+            case 'split-on-digits': {
+                const value = widget.value === undefined ? call.digits : field('value');
+                context.widgets[widget.name] = { value };
+                return widget.cases[value] ?? widget.default;
+            }
+
+            case 'dial': {
+                call.dial(field('attributes') || {}, String(field('to')));
+                await call.sendResponse();
+                const { dialCallStatus, dialCallDuration } = call.childCalls[call.childCalls.length - 1];
+                context.widgets[widget.name] = { status: dialCallStatus, duration: dialCallDuration };
+                return ['completed', 'answered'].includes(dialCallStatus) ? widget.next : (widget.failed ?? widget.next);
+            }
+
+            case 'make-call': {
+                context.call = await Call.makeCall(String(field('to')), String(field('from')), field('options') || {});
+                context.widgets[widget.name] = { status: context.call.status };
+                return context.call.status === 'in-progress' ? widget.next : widget.failed;
+            }
+
+            case 'set-variable':
+                Object.assign(context.variables, field('variables'));
+                return widget.next;
+
+            case 'http-request':
+                return this.#httpRequest(widget, context);
+
+            case 'function': {
+                const next = await this.#functions[widget.function](call, context);
+                return next ?? widget.next;
+            }
+
+            case 'hangup':
+                call.hangup();
+                await call.sendResponse();
+                return undefined;
+        }
+    }
+
+    /*
+     * Makes an HTTP request, saving the status and body of the response as the widget's result.
+     * JSON responses are parsed.  The timeout aborts the request, including the reading of its body.
+     */
+    async #httpRequest(widget, context) {
+        const method = (widget.method || 'GET').toUpperCase();
+        const init = { 
+            method, 
+            headers: render(widget.headers, context) || {}, 
+            signal: AbortSignal.timeout(widget.timeout || DEFAULT_HTTP_TIMEOUT) 
+        };
+        if (widget.body !== undefined && method !== 'GET') {
+            init.body = JSON.stringify(render(widget.body, context));
+            init.headers['Content-Type'] = 'application/json';
+        }
+        const url = render(widget.url, context);
+        try {
+            const response = await fetch(url, init);
+            const contentType = response.headers.get('content-type') || '';
+            const body = contentType.includes('json') ? await response.json() : await response.text();
+            context.widgets[widget.name] = { status: response.status, body };
+            return response.ok ? widget.next : (widget.failed ?? widget.next);
+        } catch (err) {
+            const message = err.name === 'TimeoutError' ? `Request to ${url} timed out` : err.message;
+            log.warn('Flow', this.name, 'widget', widget.name, 'request failed:', message);
+            context.widgets[widget.name] = { error: message };
+            return widget.failed ?? widget.next;
+        }
+    }
+}
+
+/**
+ * Loads a flow from a JSON or YAML file.
+ * @param {string} file - The path of the file
+ * @param {Object} [options] - See the Flow constructor
+ * @returns {Promise} - Promise that resolves to the Flow
+ * @throws {FlowValidationError} - If the file cannot be parsed, or the flow is invalid
+ */
+export async function loadFlow(file, options={}) {
+    const text = await fs.readFile(file, 'utf8');
+    try {
+        return Flow.parse(text, options);
+    } catch (err) {
+        if (err instanceof FlowValidationError) {
+            err.message = `${file}: ${err.message}`;
+        }
+        throw err;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * @module huntgroup
+ *
+ * @description The huntgroup module provides the huntGroup() function, which calls the members of a group, such as
+ * an on-call support team, until one of them acknowledges a message.  Members may be called one at a time, in order
+ * or in rotation, or all at once, in which case the first to acknowledge wins and the other calls are canceled.
+ * Members may be placed in tiers, so that a second tier is only called if no-one in the first tier acknowledges.
+ *
+ * Every call attempt is logged, with its outcome, which is one of:
+ * 'acknowledged', 'not acknowledged', 'no answer', 'hung up', 'canceled' or 'failed'.
+ *
+ * @example
+ * const result = await huntGroup([
+ *     { to: '+16175551234', name: 'Alice' },
+ *     { to: '+16175554321', name: 'Bob' },
+ *     { to: '+16175559999', name: 'Carol', tier: 1 },
+ * ], {
+ *     from: '+16175550000',
+ *     strategy: 'simultaneous',
+ *     message: member => `${member.name}, the database is down.`,
+ * });
+ * console.log(result.acknowledgedBy?.name, result.attempts);
+ */
+
+import log from 'loglevel';
+import { Call, CallEndedException } from './call.js';
+
+const strategies = ['sequential', 'simultaneous', 'round-robin'];
+const ringingStatuses = ['queued', 'initiated', 'ringing'];
+const rotations = new Map();        // Index of the member to be called first next time, by round-robin group and tier
+
+/**
+ * Calls the members of a group until one of them acknowledges a message.
+ * @param {Object[]} members - The members, each of the form {to, name, tier, timeout}, where to is the number to
+ * call, name is used in the attempt log, tier is the escalation tier (default 0; lower tiers are called first),
+ * and timeout is the number of seconds to let the member's phone ring, if different from options.ringTimeout.
+ * @param {Object} options - Options
+ * @param {string} options.from - The number from which to call
+ * @param {string|Function} options.message - The message, or a function which is passed the member and returns it
+ * @param {string} [options.strategy='sequential'] - One of ['sequential', 'simultaneous', 'round-robin'].
+ * Members of a tier are called in turn, all at once, or in turn starting with the member after the one who
+ * acknowledged last time.
+ * @param {string} [options.name] - Name of the group, by which round-robin rotation is remembered between calls
+ * to huntGroup().  Defaults to the members' numbers.
+ * @param {number} [options.ringTimeout=20] - The number of seconds to let each member's phone ring
+ * @param {string} [options.ackKey='1'] - The key to press to acknowledge the message
+ * @param {string} [options.acknowledgePrompt] - Said after the message, to ask for acknowledgement.  Star repeats
+ * the message.
+ * @param {number} [options.maxTries=2] - The number of times to play the message to a member without a response
+ * @param {Object} [options.callOptions] - Other options for Call.makeCall(), such as machineDetection
+ * @param {Function} [options.onAcknowledged] - Async function which is passed the Call and the member who
+ * acknowledged, and which should end the call, e.g. after connecting the member to a bridge.  By default, the
+ * member is thanked, and the call is hung up.
+ * @returns {Promise} - Promise that resolves to {acknowledgedBy, attempts}, where acknowledgedBy is the member who
+ * acknowledged the message, or null if no-one did, and attempts is the log of every call attempt, each of the form
+ * {name, to, tier, startTime, endTime, status, outcome, reason, sipCode}
+ * @throws {TypeError} - If the members or options are invalid
+ */
+export async function huntGroup(members, options={}) {
+    const settings = {
+        strategy: 'sequential',
+        ringTimeout: 20,
+        ackKey: '1',
+        maxTries: 2,
+        callOptions: {},
+        ...options
+    };
+    if (!Array.isArray(members) || members.length === 0) {
+        throw new TypeError('A hunt group needs at least one member');
+    }
+    if (members.some(member => !member.to)) {
+        throw new TypeError('Every hunt group member needs a number to call');
+    }
+    if (!settings.from || !settings.message) {
+        throw new TypeError('A hunt group needs a from number and a message');
+    }
+    if (!strategies.includes(settings.strategy)) {
+        throw new TypeError(`Unknown hunt group strategy ${settings.strategy}; expected one of ${strategies.join(', ')}`);
+    }
+    settings.acknowledgePrompt = settings.acknowledgePrompt ||
+        `Press ${settings.ackKey} to acknowledge this message, or star to hear it again.`;
+
+    const hunt = { settings, winner: null, calls: new Set(), attempts: [] };
+    const tiers = [...new Set(members.map(member => member.tier ?? 0))].sort((a, b) => a - b);
+
+    for (let tier of tiers) {
+        const tierMembers = members.filter(member => (member.tier ?? 0) === tier);
+        log.debug('Hunt group calling tier', tier, 'with strategy', settings.strategy);
+
+        if (settings.strategy === 'simultaneous') {
+            await Promise.all(tierMembers.map(member => attempt(member, hunt)));
+
+        } else if (settings.strategy === 'round-robin') {
+            const key = `${settings.name ?? members.map(member => member.to).join()}:${tier}`;
+            const first = (rotations.get(key) ?? 0) % tierMembers.length;
+            const rotated = [...tierMembers.slice(first), ...tierMembers.slice(0, first)];
+            for (let member of rotated) {
+                if (await attempt(member, hunt)) break;
+            }
+            const next = hunt.winner ? tierMembers.indexOf(hunt.winner) + 1 : first + 1;
+            rotations.set(key, next % tierMembers.length);
+
+        } else {
+            for (let member of tierMembers) {
+                if (await attempt(member, hunt)) break;
+            }
+        }
+        if (hunt.winner) break;
+    }
+
+    if (!hunt.winner) log.debug('No hunt group member acknowledged the message');
+    return { acknowledgedBy: hunt.winner, attempts: hunt.attempts };
+}
+
+/*
+ * Calls a member, and delivers the message.  Returns true if the member acknowledged it.
+ */
+async function attempt(member, hunt) {
+    const { from, message, ringTimeout, ackKey, acknowledgePrompt, maxTries, callOptions, onAcknowledged } =
+        hunt.settings;
+    const entry = { name: member.name, to: member.to, tier: member.tier ?? 0, startTime: new Date() };
+    hunt.attempts.push(entry);
+    let call;
+
+    try {
+        call = await Call.makeCall(member.to, from, {
+            ...callOptions,
+            timeout: member.timeout ?? ringTimeout,
+            statusCallbackEvent: ['ringing'],
+        });
+        if (hunt.winner) {
+            call.cancel().catch(err => log.debug('Could not cancel call', call.sid, err.message));
+        } else {
+            hunt.calls.add(call);
+        }
+        while (ringingStatuses.includes(call.status)) {
+            await call.nextEvent();
+        }
+
+        if (call.status !== 'in-progress') {
+            entry.outcome = call.status === 'canceled' ? 'canceled' : 'no answer';
+            entry.reason = call.status;
+            entry.sipCode = call.sipResponseCode;
+            return false;
+        }
+
+        const text = typeof message === 'function' ? message(member) : message;
+        let answer;
+        do {
+            answer = await call.ask(gather => {
+                gather.say(text);
+                gather.say(acknowledgePrompt);
+            }, {
+                choices: {
+                    acknowledge: { dtmf: ackKey, speech: ['acknowledge', 'acknowledged', 'yes'] },
+                    repeat: { dtmf: '*', speech: ['repeat', 'say that again'] },
+                },
+                finishOnKey: '',
+                maxTries,
+            });
+        } while (answer?.value === 'repeat' && !hunt.winner);
+
+        if (hunt.winner) {
+            entry.outcome = 'canceled';
+            call.say('This message has already been acknowledged. Goodbye.');
+            call.hangup();
+            await call.sendResponse();
+            return false;
+        }
+        if (!answer) {
+            entry.outcome = 'not acknowledged';
+            call.say('We did not get your response. Goodbye.');
+            call.hangup();
+            await call.sendResponse();
+            return false;
+        }
+
+        log.debug('Hunt group message acknowledged by', member.name || member.to);
+        hunt.winner = member;
+        entry.outcome = 'acknowledged';
+        for (let other of hunt.calls) {
+            if (other !== call) {
+                other.cancel().catch(err => log.debug('Could not cancel call', other.sid, err.message));
+            }
+        }
+        if (onAcknowledged) {
+            await onAcknowledged(call, member);
+        } else {
+            call.say('Thank you for responding. Goodbye.');
+            call.hangup();
+            await call.sendResponse();
+        }
+        return true;
+
+    } catch (err) {
+        if (entry.outcome === 'acknowledged') {
+            if (!(err instanceof CallEndedException)) {
+                log.error('Error after hunt group message was acknowledged:', err.message);
+            }
+        } else if (err instanceof CallEndedException) {
+            entry.outcome = hunt.winner ? 'canceled' : 'hung up';
+        } else {
+            entry.outcome = 'failed';
+            entry.reason = err.message;
+            call?.handleError(err);
+        }
+        return entry.outcome === 'acknowledged';
+
+    } finally {
+        entry.endTime = new Date();
+        if (call) entry.status = call.status;
+        hunt.calls.delete(call);
+    }
+}
\ No newline at end of file
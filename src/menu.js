@@ -0,0 +1,137 @@
+/**
+ * @module menu
+ *
+ * @description The menu module provides the Menu class, for building IVR menus as data rather than control flow.
+ * A menu has a prompt, and options that may be chosen by a keypress or by speech, each of which runs an async
+ * handler or leads to a submenu.  The caller may press the repeat key to hear the menu again, or the back key to
+ * return from a submenu.  Menus are run with Call.ask(), so no input and unrecognized input are reprompted.
+ *
+ * @example
+ * const billing = new Menu({
+ *     prompt: 'For your balance, press 1. To make a payment, press 2. To go back, press pound.',
+ *     options: {
+ *         balance: { dtmf: '1', handler: sayBalance },
+ *         payment: { dtmf: '2', speech: ['payment', 'pay'], handler: takePayment },
+ *     },
+ * });
+ * const main = new Menu({
+ *     prompt: 'For billing, press 1. For support, press 2. To hear these options again, press star.',
+ *     options: {
+ *         billing: { dtmf: '1', menu: billing },
+ *         support: { dtmf: '2', handler: call => call.dial(supportNumber) },
+ *     },
+ *     fallback: call => call.dial(operatorNumber),
+ * });
+ * const choice = await main.run(call);     // e.g. 'payment'
+ */
+
+import log from 'loglevel';
+
+const BACK = Symbol('back');        // Returned by a submenu when the caller asks to go back
+
+/**
+ * @classdesc
+ * An IVR menu, which may contain submenus.
+ */
+export class Menu {
+    #prompt;
+    #options;
+    #settings;
+
+    /**
+     * Creates a menu.
+     * @constructs
+     * @param {Object} definition - The menu definition
+     * @param {string|Function} definition.prompt - Text to be said, or a function which is passed the Gather object
+     * to add its own prompt.  See Call.ask().
+     * @param {Object} definition.options - The options, indexed by name, each of the form
+     * {dtmf, speech, handler, menu}, where dtmf and speech are as for the choices of Call.ask(); handler is an
+     * async function which is passed the Call; and menu is a submenu.  An option may have both a handler and a
+     * menu, in which case the handler is run first.
+     * @param {string} [definition.repeatKey='*'] - Key which repeats the menu, or '' for none
+     * @param {string} [definition.backKey='#'] - Key which returns from a submenu to its parent, or '' for none
+     * @param {number} [definition.maxTries=3] - The number of times to ask, before giving up
+     * @param {string} [definition.noInputPrompt] - Said before the prompt is repeated, if there was no input
+     * @param {string} [definition.noMatchPrompt] - Said before the prompt is repeated, if the input did not match
+     * @param {string} [definition.timeoutMessage] - Said when the caller has not chosen an option after maxTries
+     * @param {Function} [definition.fallback] - Async function which is passed the Call, and run after the
+     * timeout message.  A submenu without a fallback uses its parent's.
+     * @param {Object} [definition.gatherAttributes] - Other &lt;Gather&gt; attributes, such as input or language
+     */
+    constructor(definition) {
+        const { prompt, options, ...settings } = definition;
+        if (!prompt || !options) {
+            throw new TypeError('A menu needs a prompt and options');
+        }
+        for (let name in options) {
+            const option = options[name];
+            if (!option.handler && !option.menu) {
+                throw new TypeError(`Menu option ${name} needs a handler or a submenu`);
+            }
+            if (option.menu && !(option.menu instanceof Menu)) {
+                throw new TypeError(`Submenu of option ${name} is not a Menu`);
+            }
+        }
+        this.#prompt = prompt;
+        this.#options = options;
+        this.#settings = { repeatKey: '*', backKey: '#', maxTries: 3, ...settings };
+    }
+
+    /**
+     * Runs the menu against a call, along with any submenus that the caller chooses, and the handler of the
+     * option they finally choose.
+     * @param {Call} call - The call
+     * @returns {Promise} - Promise that resolves to the name of the chosen option, or null if the caller did not
+     * choose one
+     */
+    run(call) {
+        return this.#run(call, false);
+    }
+
+    /*
+     * Runs the menu.  Returns the name of the chosen option, null if none was chosen, or BACK.
+     */
+    async #run(call, isSubmenu, fallback) {
+        const { repeatKey, backKey, maxTries, noInputPrompt, noMatchPrompt, timeoutMessage, gatherAttributes } =
+            this.#settings;
+        fallback = this.#settings.fallback || fallback;
+
+        const choices = {};
+        for (let name in this.#options) {
+            const { dtmf, speech } = this.#options[name];
+            choices[name] = { dtmf, speech };
+        }
+
+        for (;;) {
+            // Keypresses for repeat and back take precedence over the options
+            const answer = await call.ask(this.#prompt, {
+                finishOnKey: '',
+                ...gatherAttributes,
+                choices: {
+                    ...(repeatKey && { '*repeat': { dtmf: repeatKey, speech: ['repeat', 'say that again'] } }),
+                    ...(backKey && isSubmenu && { '#back': { dtmf: backKey, speech: ['go back', 'back'] } }),
+                    ...choices
+                },
+                maxTries,
+                noInputPrompt,
+                noMatchPrompt,
+            });
+
+            if (!answer) {
+                log.debug('No menu option chosen by call', call.sid);
+                if (timeoutMessage) call.say(timeoutMessage);
+                if (fallback) await fallback(call);
+                return null;
+            }
+            if (answer.value === '*repeat') continue;
+            if (answer.value === '#back') return BACK;
+
+            const option = this.#options[answer.value];
+            if (option.handler) await option.handler(call);
+            if (!option.menu) return answer.value;
+
+            const choice = await option.menu.#run(call, true, fallback);
+            if (choice !== BACK) return choice;
+        }
+    }
+}
\ No newline at end of file
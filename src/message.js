@@ -0,0 +1,86 @@
+/**
+ * @module message
+ *
+ * @description The message module provides the sendMessage() function, for sending an SMS from within a script.
+ * Delivery status callbacks are received by the Express web server, and the Promise returned by sendMessage()
+ * resolves once the message has reached a final status. Call.sendSms() is a shortcut which sends a message
+ * from the call's Twilio number.
+ *
+ * @example
+ * const message = await sendMessage('+16175551234', '+16175550000', 'Your appointment is confirmed.');
+ * if (message.status !== 'delivered') console.log('SMS failed:', message.errorCode);
+ */
+
+import log from 'loglevel';
+import { forbiddenAttributes } from './utils/twiml.js';
+import { getUrl, _getClient, _abortable } from './call.js';
+
+/**
+ * The statuses which mean that no more status callbacks will be received for a message.
+ */
+export const finalMessageStatuses = ['delivered', 'undelivered', 'failed', 'read', 'canceled'];
+
+const pendingMessages = {};     // Messages waiting on a final status, indexed by message SID: {message, fulfill}
+
+/**
+ * Sends an SMS through the REST API.  Note that some carriers do not report delivery, in which case the
+ * status will not progress beyond 'sent' and the Promise will not resolve.
+ * @param {string} to - The destination number
+ * @param {string} from - The originating number, which must belong to your account
+ * @param {string} body - The text of the message
+ * @param {Object} [options] - Other message options, such as mediaUrl or messagingServiceSid.
+ *                 @see {@link https://www.twilio.com/docs/messaging/api/message-resource#create-a-message-resource}
+ *                 DO NOT set the statusCallback property, as this will be handled automatically.
+ * @param {Object} [options.client] - Client with which to send the message, e.g. for a different account.
+ *                 Defaults to the client passed to setup().
+ * @param {AbortSignal} [options.signal] - Signal which stops the wait for the message to reach a final status.
+ *                 If it is aborted first, the Promise is rejected with the signal's reason, but a message that
+ *                 has already been created is still delivered.
+ * @returns {Promise} - Promise that resolves to the message, of the form {sid, to, from, body, status, errorCode},
+ * once its status is one of ['delivered', 'undelivered', 'failed', 'read', 'canceled']
+ */
+export async function sendMessage(to, from, body, 
+                                  { client: messageClient = _getClient(), signal, ...options } = {}) {
+    for (let option in options) {
+        if (forbiddenAttributes.includes(option))
+            throw new TypeError(`${option} is not allowed in sendMessage()`);
+    }
+    signal?.throwIfAborted();
+    const result = await _abortable(messageClient.messages.create({
+        ...options,
+        to,
+        from,
+        body,
+        statusCallback: getUrl('message')
+    }), signal);
+    const message = { sid: result.sid, to, from, body, status: result.status, errorCode: result.errorCode };
+    log.debug('Message', message.sid, 'created with status', message.status);
+    if (finalMessageStatuses.includes(message.status)) {
+        return message;
+    }
+    return _abortable(
+        new Promise(fulfill => pendingMessages[message.sid] = { message, fulfill }),
+        signal,
+        () => delete pendingMessages[message.sid]
+    );
+}
+
+/*
+ * Updates the status of a message in response to a status callback, and resolves the Promise returned by
+ * sendMessage() if the status is final.
+ */
+export function _respondToMessageStatusCallback(request, response) {
+    const { MessageSid: sid, MessageStatus: status, ErrorCode: errorCode } = request.body;
+    const pending = pendingMessages[sid];
+    if (pending) {
+        pending.message.status = status;
+        if (errorCode) pending.message.errorCode = errorCode;
+        if (finalMessageStatuses.includes(status)) {
+            delete pendingMessages[sid];
+            pending.fulfill(pending.message);
+        }
+    } else {
+        log.warn('Message', sid, 'not found in pending messages');
+    }
+    response.status(204).end();
+}
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * @module queue
+ *
+ * @description The queue module provides support for call queues. It provides the following:
+ *
+ * 1. The QueueWait class, which is passed to a wait script while a caller is held in a queue by Call.enqueue().
+ * The wait script plays hold music or position announcements, in the same top-down style as any other script.
+ *
+ * 2. The Queue class, which wraps a Twilio Queue resource, allowing its members to be listed and dequeued.
+ *
+ * @example
+ * async function waitScript(wait) {
+ *     while (wait.waiting) {
+ *         wait.say(`You are number ${wait.queuePosition} in the queue.`);
+ *         wait.play(holdMusicUrl);
+ *         await wait.sendResponse();
+ *     }
+ * }
+ *
+ * call.enqueue('support', { waitScript });
+ * await call.sendResponse();          // Resolves when the caller leaves the queue
+ * console.log(call.queueResult, call.queueTime);
+ */
+
+import log from 'loglevel';
+import { _makeTwiml } from './utils/twiml.js';
+import { getUrl, _getClient, _findCall, _abortable } from './call.js';
+
+/**
+ * @classdesc
+ * Represents a caller waiting in a queue.  Each request to the queue's wait URL settles the Promise returned by
+ * sendResponse(), and the TwiML generated by the wait script is returned in response.  When the wait TwiML has been
+ * played, Twilio requests the wait URL again, for as long as the caller remains in the queue.
+ *
+ * Its properties are updated by each request to the wait URL.
+ */
+export class QueueWait {
+    #waitFulfill;           // Permits the next step in the wait script to execute
+    #twimlFulfill;          // Called when new TwiML is available to be returned by the wait URL
+    #twimlReject;           // Called if the wait script fails
+    #pendingTwiml;          // Promise of the TwiML for the wait URL, while the wait script is busy
+    #failed = false;        // True once the wait script has failed
+    #twiml;                 // Wrapped VoiceResponse object, used to generate TwiML
+
+    /**  The Call being held in the queue  */
+    call;
+
+    /**  True while the caller remains in the queue  */
+    waiting = true;
+
+    /**  The SID of the queue  */
+    queueSid;
+
+    /**  The caller's position in the queue, starting at 1  */
+    queuePosition;
+
+    /**  The time in seconds that the caller has been in the queue  */
+    queueTime;
+
+    /**  The average time in seconds that callers spend in the queue  */
+    avgQueueTime;
+
+    /**  The number of callers in the queue  */
+    currentQueueSize;
+
+    /**  The maximum number of callers allowed in the queue  */
+    maxQueueSize;
+
+    /*
+     * Do not call directly. A QueueWait is created by the Call when its wait URL is first requested.
+     */
+    constructor(call) {
+        this.call = call;
+        this.#twiml = _makeTwiml();
+    }
+
+    /**
+     * Defines the wait URL parameters of interest, and which normalizes their names when they are used
+     * to create properties of a QueueWait object.
+     */
+    static get propertyMappings() {
+        return {
+            QueueSid: 'queueSid',
+            QueuePosition: 'queuePosition',
+            QueueTime: 'queueTime',
+            AvgQueueTime: 'avgQueueTime',
+            CurrentQueueSize: 'currentQueueSize',
+            MaxQueueSize: 'maxQueueSize',
+        }
+    }
+
+    /**
+     * Calls the say() method of the wrapped VoiceResponse object.
+     * @param  {...any} args - See {@link https://www.twilio.com/docs/voice/twiml/say}
+     * @returns {Say}
+     */
+    say(...args) { return this.#twiml.say(...args); }
+
+    /**
+     * Calls the play() method of the wrapped VoiceResponse object.
+     * @param  {...any} args - See {@link https://www.twilio.com/docs/voice/twiml/play}
+     * @returns {Play}
+     */
+    play(...args) { return this.#twiml.play(...args); }
+
+    /**
+     * Calls the pause() method of the wrapped VoiceResponse object.
+     * @param  {...any} args - See {@link https://www.twilio.com/docs/voice/twiml/pause}
+     * @returns {Pause}
+     */
+    pause(...args) { return this.#twiml.pause(...args); }
+
+    /**
+     * Calls the leave() method of the wrapped VoiceResponse object, which removes the caller from the queue.
+     * The caller's script will then continue with queueResult set to 'leave'.
+     * See {@link https://www.twilio.com/docs/voice/twiml/leave}
+     * @returns {Leave}
+     */
+    leave() { return this.#twiml.leave(); }
+
+    /**
+     * Generates the accumulated TwiML, and signals to the wait URL handler that it is ready to be sent.
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal which stops the wait for the next request to the wait URL.  
+     * If it is aborted first, the Promise is rejected with the signal's reason.  The TwiML is still sent.
+     * @returns {Promise} - Promise that resolves to the QueueWait object upon the next request to the wait URL,
+     * or when the caller leaves the queue, in which case the waiting property will be false.
+     */
+    sendResponse(options={}) {
+        return _abortable(new Promise(fulfill => {
+            const twiml = this.#twiml.toString();
+            this.#twiml = _makeTwiml();
+            this.#waitFulfill = fulfill;
+            if (this.#twimlFulfill) {
+                this.#twimlFulfill(twiml);
+                this.#twimlFulfill = undefined;
+            }
+            if (!this.waiting) {
+                fulfill(this);
+            }
+        }), options.signal);
+    }
+
+    /*
+     * Updates the queue properties, signals to the wait script that it can continue to the next step,
+     * and waits upon the resulting TwiML.  If the wait script does not respond within the deadline, a pause,
+     * or the hold music, is returned instead, after which Twilio requests the wait URL again, and the wait 
+     * script's TwiML is returned once it is ready.  If the wait script has failed, the caller leaves the queue.
+     */
+    _respondToWaitUrl(request, response, hold={}) {
+        for (let property in request.body) {
+            if (property in QueueWait.propertyMappings) {
+                this[QueueWait.propertyMappings[property]] = request.body[property];
+            }
+        }
+        if (this.#failed) {
+            this.#sendFallback(response);
+            return;
+        }
+        if (!this.#pendingTwiml) {
+            this.#pendingTwiml = new Promise((fulfill, reject) => {
+                this.#twimlFulfill = fulfill;
+                this.#twimlReject = reject;
+            });
+            if (this.#waitFulfill) {
+                this.#waitFulfill(this);
+                this.#waitFulfill = undefined;
+            }
+        }
+
+        let timer;
+        const deadline = new Promise(fulfill => {
+            if (hold.deadline > 0) timer = setTimeout(fulfill, hold.deadline);
+        });
+        Promise.race([this.#pendingTwiml, deadline])
+            .then(twiml => {
+                clearTimeout(timer);
+                if (twiml === undefined) {              // The deadline was reached first
+                    const holdTwiml = _makeTwiml();
+                    if (hold.musicUrl) holdTwiml.play(hold.musicUrl);
+                    else holdTwiml.pause({length: 1});
+                    hold.onHold?.();
+                    response.type('xml').send(holdTwiml.toString()).end();
+                    return;
+                }
+                this.#pendingTwiml = undefined;
+                log.debug('Wait TwiML:', twiml);
+                response.type('xml').send(twiml).end();
+            })
+            .catch(() => {
+                clearTimeout(timer);
+                this.#sendFallback(response);
+            });
+    }
+
+    /*
+     * Signals that the wait script has failed, so that the caller leaves the queue.
+     */
+    _fail(err) {
+        this.#failed = true;
+        this.#twimlReject?.(err);
+    }
+
+    /*
+     * Sends the TwiML for a failed wait script, which takes the caller out of the queue.
+     */
+    #sendFallback(response) {
+        const twiml = _makeTwiml();
+        twiml.pause({length: 1});
+        twiml.leave();
+        response.type('xml').send(twiml.toString()).end();
+    }
+
+    /*
+     * Signals to the wait script that the caller has left the queue.
+     */
+    _end() {
+        this.waiting = false;
+        if (this.#waitFulfill) {
+            this.#waitFulfill(this);
+            this.#waitFulfill = undefined;
+        }
+    }
+}
+
+
+/**
+ * @classdesc
+ * Wraps a Twilio Queue resource.  Use Queue.find() or Queue.create() to get a Queue object.
+ * <br>See {@link https://www.twilio.com/docs/voice/api/queue-resource}
+ */
+export class Queue {
+    #client;        // Client used to access the REST API for this queue
+
+    /**  The SID of the queue  */
+    sid;
+
+    /**  The name of the queue, as used by Call.enqueue() and &lt;Dial&gt;&lt;Queue&gt;  */
+    friendlyName;
+
+    /**  The maximum number of callers allowed in the queue  */
+    maxSize;
+
+    /*
+     * Do not call directly. Use Queue.find() or Queue.create() instead.
+     */
+    constructor(properties, queueClient) {
+        this.#client = queueClient;
+        this.sid = properties.sid;
+        this.friendlyName = properties.friendlyName;
+        this.maxSize = properties.maxSize;
+    }
+
+    /**
+     * Finds a queue by name.
+     * @param {string} friendlyName - The name of the queue
+     * @param {Object} [options] - Options
+     * @param {Object} [options.client] - Client of the account to which the queue belongs.
+     *                 Defaults to the client passed to setup().
+     * @returns {Promise} - Promise that resolves to the Queue, or is rejected if it does not exist
+     */
+    static async find(friendlyName, options={}) {
+        const queueClient = options.client || _getClient();
+        const queues = await queueClient.queues.list();
+        const properties = queues.find(queue => queue.friendlyName === friendlyName);
+        if (!properties) {
+            throw new Error(`Queue ${friendlyName} not found in this account`);
+        }
+        return new Queue(properties, queueClient);
+    }
+
+    /**
+     * Creates a queue.  Queues are also created automatically by Call.enqueue().
+     * @param {string} friendlyName - The name of the queue
+     * @param {number} [maxSize] - The maximum number of callers allowed in the queue
+     * @param {Object} [options] - Options
+     * @param {Object} [options.client] - Client of the account in which to create the queue.
+     *                 Defaults to the client passed to setup().
+     * @returns {Promise} - Promise that resolves to the Queue
+     */
+    static async create(friendlyName, maxSize, options={}) {
+        const queueClient = options.client || _getClient();
+        const params = { friendlyName };
+        if (maxSize) params.maxSize = maxSize;
+        return new Queue(await queueClient.queues.create(params), queueClient);
+    }
+
+    /**
+     * Lists the callers in the queue.
+     * @returns {Promise} - Promise that resolves to an array of members, in queue order, each of the form
+     * {callSid, position, waitTime, dateEnqueued}
+     */
+    async members() {
+        const members = await this.#client.queues(this.sid).members.list();
+        return members
+            .map(({ callSid, position, waitTime, dateEnqueued }) => ({ callSid, position, waitTime, dateEnqueued }))
+            .sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Removes a caller from the queue.  By default, the caller is returned to its script, which continues with
+     * queueResult set to 'dequeued', so that it can, for example, dial a specific agent.  Alternatively, the caller
+     * may be redirected to some other TwiML URL. To connect the caller at the front of the queue to an agent's call,
+     * use agentCall.dial().queue(name) instead.
+     * @param {string} [callSid='Front'] - The SID of the caller to dequeue, or 'Front' for the front of the queue
+     * @param {string} [url] - The URL of the TwiML to be executed by the dequeued call
+     * @returns {Promise} - Promise that resolves to the call SID of the dequeued caller
+     */
+    async dequeue(callSid = 'Front', url) {
+        if (callSid === 'Front') {
+            const [front] = await this.members();
+            if (!front) {
+                throw new Error(`Queue ${this.friendlyName} is empty`);
+            }
+            callSid = front.callSid;
+        }
+        if (!url) {
+            const call = _findCall(callSid);
+            if (call) call.queueResult = 'dequeued';
+            url = getUrl('webhook');
+        }
+        await this.#client.queues(this.sid).members(callSid).update({ url, method: 'POST' });
+        return callSid;
+    }
+}
\ No newline at end of file
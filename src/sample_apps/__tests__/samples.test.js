@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import { createRouter } from '../../call.js';
+import { Conference } from '../../conference.js';
+import { Simulator, FarEnd } from '../../utils/simulator.js';
+import { Timeout } from '../../utils/timeout.js';
+import { script as apptReminder } from '../apptreminder2.js';
+import { script as onCall } from '../oncall.js';
+import { conferenceScript } from '../conference.js';
+
+const port = 3008;
+const from = '+16175550000';
+const group = new Map([
+    ['+13395553480', 'Orpheus'],
+    ['+13395559670', 'Eurydice'],
+    ['+16175555354', 'Hades']
+]);
+const [orpheus, eurydice, hades] = group.keys();
+const sim = new Simulator({ serverUrl: `http://localhost:${port}` });
+let server;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});     // The sample apps log their progress
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const app = express();
+    app.use(await createRouter({ 
+        client: sim.client, 
+        baseUrl: sim.serverUrl, 
+        authToken: sim.authToken, 
+        script: conferenceScript(group)
+    }));
+    server = app.listen(port);
+});
+
+afterAll((done) => {
+    jest.restoreAllMocks();
+    server.close(done);
+});
+
+const appointment = () => ({
+    to: orpheus,
+    from,
+    forward: hades,
+    patient: 'Orpheus',
+    doctor: 'Dr Love',
+    time: '12:30 pm',
+    date: 'Thursday, 9th March'
+});
+
+describe('apptreminder2.js', () => {
+    test('Patient confirms the appointment, and is sent a text', async () => {
+        sim.onCall(orpheus, new FarEnd().answer().answeredBy('human').press('1'));
+        const dataset = appointment();
+        await apptReminder(dataset);
+        expect(dataset.outcome).toBe('confirmed');
+        expect(sim.messages.pop()).toMatchObject({ to: orpheus, body: expect.stringMatching(/is confirmed/) });
+
+        const responses = (await sim.lastCall.ended).responses;
+        expect(responses[1]).toMatch(/<Gather numDigits="1" finishOnKey=""/);
+        expect(responses[2]).toMatch(/Thank you for confirming your appointment.*<Hangup\/>/);
+    });
+
+    test('A message is left on voicemail once the greeting has ended', async () => {
+        sim.onCall(orpheus, new FarEnd().answer().answeredBy('machine_start', 'machine_end_beep'));
+        const dataset = appointment();
+        await apptReminder(dataset);
+        expect(dataset.outcome).toBe('left message');
+        const simCall = await sim.lastCall.ended;
+        expect(simCall.responses.pop()).toMatch(/If you wish to change or cancel your appointment.*<Hangup\/>/);
+    });
+
+    test('Patient asks to reschedule, but the transfer fails', async () => {
+        sim.onCall(orpheus, new FarEnd().answer().answeredBy('human').press('3').dialResult('busy', 0));
+        const dataset = appointment();
+        await apptReminder(dataset);
+        expect(dataset).toMatchObject({ outcome: 'transfer failed', reason: 'busy' });
+    });
+});
+
+describe('oncall.js', () => {
+    test('The team is called in turn until someone acknowledges', async () => {
+        sim.onCall(orpheus, new FarEnd().busy());
+        sim.onCall(eurydice, new FarEnd().answer().press('*').press('1'));
+        const result = await onCall(group, from, 'The database is down.', 'sequential');
+
+        expect(result.acknowledgedBy.name).toBe('Eurydice');
+        expect(result.attempts.map(attempt => attempt.outcome)).toEqual(['no answer', 'acknowledged']);
+        const responses = (await sim.lastCall.ended).responses;
+        expect(responses[0]).toMatch(/important message for Eurydice. The database is down./);
+        expect(responses[0]).toMatch(/Press star to repeat the message, or 1 to acknowledge it/);
+    });
+});
+
+describe('conference.js', () => {
+    test('A member calls in, and the rest of the group is invited', async () => {
+        sim.onCall(eurydice, new FarEnd().answer().press('1').stayInConference(50));
+        sim.onCall(hades, new FarEnd().answer().press('2'));
+        const caller = sim.placeCall(orpheus, '+16175559999', new FarEnd().stayInConference(100));
+        while (!Conference.find('MyConf')) await new Timeout(5).wait();
+        await Conference.find('MyConf').waitForEnd();
+        await caller.ended;
+
+        expect(caller.responses[0]).toMatch(/Welcome, Orpheus.*<Conference.*>MyConf<\/Conference>/);
+        const [eurydiceCall, hadesCall] = [eurydice, hades].map(to => sim.calls.filter(call => call.to === to).pop());
+        expect((await eurydiceCall.ended).responses[1]).toMatch(/Connecting you to the conference/);
+        expect((await hadesCall.ended).responses[1]).toMatch(/Another time, maybe. Goodbye.<\/Say><Hangup\/>/);
+    });
+
+    test('An unknown caller is rejected', async () => {
+        const caller = sim.placeCall('+16175554444', '+16175559999', new FarEnd());
+        await caller.ended;
+        expect(caller.responses[0]).toMatch(/<Reject\/>/);
+    });
+});
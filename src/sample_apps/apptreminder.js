@@ -16,6 +16,7 @@
  */
 
 import { Call, CallEndedException, setup, shutDown } from '../call.js';
+import { Menu } from '../menu.js';
 import { datasets } from './datasets.js';
 
 
@@ -29,37 +30,20 @@ async function script(dataset) {
             call.say(`This is an appointment reminder for ${dataset.patient}`);
             await call.sendResponse();
     
-            let gatherSuccess = false;
-            loop: for (let numTries = 0; numTries < 3; numTries++) {
-                call.gather({numDigits: 1, finishOnKey: ''})
-                    .say(`You have an appointment with ${dataset.doctor}, on ${dataset.date}, at ${dataset.time} . ` +
-                         'Please press 1 to confirm your appointment, 2 to cancel, or 3 to reschedule. ' + 
-                         'Press star to hear this message again.');
-                await call.sendResponse();
-    
-                switch (call.digits) {
-                    case '*':
-                        numTries = 0;  // Reset the loop counter if repeat requested
-                        continue;
-    
-                    case '1':
-                        gatherSuccess = true;
+            const menu = new Menu({
+                prompt: `You have an appointment with ${dataset.doctor}, on ${dataset.date}, at ${dataset.time} . ` +
+                        'Please say confirm, cancel or reschedule, or press 1, 2 or 3. ' + 
+                        'Press star to hear this message again.',
+                options: {
+                    confirm: { dtmf: '1', speech: ['confirm', 'yes'], handler: async call => {
                         dataset.outcome = 'confirmed';
                         call.say('Thank you for confirming your appointment. Goodbye.');
-                        call.hangup();
-                        await call.sendResponse();
-                        break loop;
-    
-                    case '2':
-                        gatherSuccess = true;
+                    }},
+                    cancel: { dtmf: '2', speech: ['cancel', 'no'], handler: async call => {
                         dataset.outcome = 'canceled';
                         call.say('Thank you. We will cancel your appointment. Goodbye.');
-                        call.hangup();
-                        await call.sendResponse();
-                        break loop;
-        
-                    case '3':
-                        gatherSuccess = true;
+                    }},
+                    reschedule: { dtmf: '3', speech: ['reschedule', 'change'], handler: async call => {
                         call.say(`Connecting you to ${dataset.doctor}'s office`);
                         call.dial(dataset.forward);
                         await call.sendResponse();
@@ -71,20 +55,15 @@ async function script(dataset) {
                             dataset.reason = status;
                             call.say('Sorry, we were unable to transfer your call. Goodbye.')
                         }
-                        call.hangup();
-                        await call.sendResponse();
-                        break loop;
-        
-                    default: break;
-                }
-            }
-    
-            if (!gatherSuccess) {
-                dataset.outcome = 'no response';
-                call.say('We did not get your response. Goodbye.');
-                call.hangup();
-                await call.sendResponse();
-            }
+                    }},
+                },
+                timeoutMessage: 'We did not get your response. Goodbye.',
+                fallback: async () => dataset.outcome = 'no response',
+            });
+
+            await menu.run(call);
+            call.hangup();
+            await call.sendResponse();
 
         } else {
             dataset.outcome = 'no answer';
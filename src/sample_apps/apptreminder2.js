@@ -2,27 +2,33 @@
  * This is a sample application to demonstrate the use of Voice scripting using the Call module. It is an
  * appointment reminder script, where a patient is called about an upcoming appointment and asked to confirm,
  * cancel or reschedule it.  This version of the script uses asynchromous Answering Machine Detection and
- * will leave a message if a human does not answer.
+ * will leave a message if a human does not answer.  If the patient confirms the appointment, a confirmation is
+ * also sent by text message.
  * 
  * To run the script, use the following command:
  * 
- *   node apptreminder.js dataset_name
+ *   node apptreminder2.js dataset_name | contacts_file.csv
  * 
  * where:
  *   dataset_name is used to look up a named object in the datasets.js file, containing the details of the
  *   appointment. You should edit the file to provide your own datasets.
+ *   contacts_file.csv contains the details of a number of appointments, one per row, with the same fields as the 
+ *   datasets, plus an optional timezone.  See contacts.csv.  The patients are called as a campaign, during 
+ *   calling hours, and a report is written to contacts_file-report.csv.
  * 
  * If you are using Ngrok, make sure you have started the Ngrok agent. If not, modify the setup() call to provide
  * your web server URL.
  */
 
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
 import { Call, CallEndedException, setup, shutDown } from '../call.js';
-import { Timeout } from '../utils/timeout.js';
+import { Campaign } from '../campaign.js';
 import { nationalPN } from '../utils/phonenumbers.js';
 import { datasets } from './datasets.js';
 
 
-async function script(dataset) {
+export async function script(dataset) {
     let call;
     try {
         call = await Call.makeCall(
@@ -40,17 +46,11 @@ async function script(dataset) {
             call.say(`Hello. This is an appointment reminder for ${dataset.patient}`);
             await call.sendResponse();
             
-            // Wait for async AMD to deliver a verdict
-            while (!call.answeredBy) {
-                await new Timeout(1000).wait();  // Wait one second
-            }
-
-            // If we are running dual-event AMD, we need to wait for the machine-end event
-            while (call.answeredBy === 'machine_start') {
-                await new Timeout(1000).wait();  // Wait one second
-            }
+            // Wait for async AMD to deliver a verdict.  As we are running dual-event AMD, this waits 
+            // for the machine-end event if a machine answered.
+            const verdict = await call.waitForAmd({timeout: 60000});
             
-            if (call.answeredBy !== 'human') {
+            if (verdict !== 'human') {
                 dataset.outcome = 'left message';
                 const pn = nationalPN(dataset.forward);
                 call.say(`This is an appointment reminder for ${dataset.patient} . ` +
@@ -78,9 +78,13 @@ async function script(dataset) {
                         case '1':
                             gatherSuccess = true;
                             dataset.outcome = 'confirmed';
-                            call.say('Thank you for confirming your appointment. Goodbye.');
+                            call.say('Thank you for confirming your appointment. We will send you a text. Goodbye.');
                             call.hangup();
                             await call.sendResponse();
+                            const message = await call.sendSms(dataset.to, 
+                                `Your appointment with ${dataset.doctor}, on ${dataset.date}, at ${dataset.time}, ` +
+                                'is confirmed.');
+                            dataset.textStatus = message.status;
                             break loop;
         
                         case '2':
@@ -141,14 +145,40 @@ async function script(dataset) {
 }
 
 
-const args = process.argv.slice(2);
-if (args.length == 0) {
-    console.error('Usage: node apptreminder2.js dataset_name');
-} else if (datasets.has(args[0])) {
-    setup()
-        .then(() => script(datasets.get(args[0])))
-        .catch(err => console.error(err))
-        .finally(() => shutDown());  // Shuts down the web server
-} else {
-    console.error(`Appointment dataset ${args[0]} could not be found`);
+async function campaign(file) {
+    const campaign = await Campaign.fromCsv(file, script, {
+        concurrency: 2,
+        callsPerSecond: 1,
+        retryDelay: 5 * 60 * 1000,     // Try busy or unanswered calls again after 5 minutes
+        callingHours: { start: '09:00', end: '20:00', days: [1, 2, 3, 4, 5, 6] },
+    });
+    await campaign.run();
+    console.log(campaign.summary());
+    const reportFile = file.replace(/\.csv$/, '') + '-report.csv';
+    await fs.writeFile(reportFile, campaign.report());
+    console.log('Report written to', reportFile);
+}
+
+
+function main(args) {
+    if (args.length == 0) {
+        console.error('Usage: node apptreminder2.js dataset_name | contacts_file.csv');
+    } else if (args[0].endsWith('.csv')) {
+        setup()
+            .then(() => campaign(args[0]))
+            .catch(err => console.error(err))
+            .finally(() => shutDown());  // Shuts down the web server
+    } else if (datasets.has(args[0])) {
+        setup()
+            .then(() => script(datasets.get(args[0])))
+            .catch(err => console.error(err))
+            .finally(() => shutDown());  // Shuts down the web server
+    } else {
+        console.error(`Appointment dataset ${args[0]} could not be found`);
+    }
+}
+
+// Run from the command line, rather than imported, e.g. by a test
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
 }
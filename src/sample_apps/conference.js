@@ -2,6 +2,8 @@
  * This is a sample application to demonstrate the use of Voice scripting using the Call module. It allows an inbound
  * call to trigger a script, connecting the inbound call to a conference and then making calls in parallel to a group 
  * of prospective participants. The participants are prompted to join the conference through key-press input.
+ * The script follows the conference's status callbacks, logging participants as they join and leave, and noting when
+ * the conference has emptied out.
  * 
  * To run the script, use the following command:
  * 
@@ -15,13 +17,33 @@
  * your web server URL. You will need to configure a Twilio number to point to your webhook URL.
  */
 
+import { fileURLToPath } from 'node:url';
 import { Call, CallEndedException, setup } from '../call.js';
+import { Conference } from '../conference.js';
 import { datasets } from './datasets.js';
 
 const confName = 'MyConf';
 let participants;
+const names = new Map();    // Names of the participants in the conference, indexed by call SID
 
-async function makeOutboundCall(to, from, responder, initiator, callToken) {
+async function monitorConference(conference) {
+    while (conference.status !== 'completed') {
+        const event = await conference.nextEvent();
+        const name = names.get(event.callSid);
+        switch (event.event) {
+            case 'conference-start': console.log('The conference has started'); break;
+            case 'participant-join': console.log(name, 'has joined the conference'); break;
+            case 'participant-leave': console.log(name, 'has left the conference'); break;
+            case 'participant-mute': console.log(name, 'has been muted'); break;
+            case 'participant-hold': console.log(name, 'has been put on hold'); break;
+            default: break;
+        }
+    }
+    console.log('The conference has emptied out');
+    names.clear();
+}
+
+async function makeOutboundCall(conference, to, from, responder, initiator, callToken) {
     let call;
     try {
         call = await Call.makeCall(to, from, {callToken});
@@ -42,10 +64,10 @@ async function makeOutboundCall(to, from, responder, initiator, callToken) {
 
                 } else if (call.digits == '1') {
                     console.log(responder, 'is joining the conference');
+                    names.set(call.sid, responder);
                     call.say('Connecting you to the conference');
-                    call.dial().conference(confName);
-                    call.sendFinalResponse()
-                        .then(() => console.log(responder, 'has left the conference'));
+                    conference.join(call);
+                    call.sendFinalResponse();
                     return;
 
                 } else {
@@ -85,13 +107,19 @@ const script = async function(call) {
     if (participants.has(call.from)) {
         // First, connect the inbound call to the conference.
         const initiator = participants.get(call.from);
+        if (Conference.find(confName)) {
+            console.warn(`${initiator} called while the conference is in progress -- rejecting`);
+            call.reject();
+            call.sendResponse();
+            return;
+        }
+        const conference = new Conference(confName);
+        monitorConference(conference);
+        names.set(call.sid, initiator);
+
         call.say(`Welcome, ${initiator}. Connecting you to your conference. Please wait while we dial the other participants.`);
-        call.dial().conference(confName);
-        call.sendResponse()             // No 'await' here because we can dial the other participants immediately
-            .then(call => {             // This part gets executed after the initiator hangs up
-                console.log(initiator, 'has left the conference');
-                call.sendFinalResponse();
-            });  
+        conference.join(call);
+        call.sendFinalResponse();       // No 'await' here because we can dial the other participants immediately
         console.log(`Connecting ${initiator} to the conference`);
 
         // Call the other members of the group. Note the use of the CallToken from the inbound call leg,
@@ -99,7 +127,7 @@ const script = async function(call) {
         // calls are made in parallel, as the makeOutboundCall() function returns a Promise and does not block.
         for (let [number, name] of participants) {
             if (number != call.from) {
-                makeOutboundCall(number, call.from, name, initiator, call.callToken)
+                makeOutboundCall(conference, number, call.from, name, initiator, call.callToken)
             }
         }
 
@@ -110,15 +138,28 @@ const script = async function(call) {
     }
 }
 
-const args = process.argv.slice(2);
-if (args.length == 0) {
-    console.error('Usage: node conference.js group_name');
-} else if (datasets.has(args[0])) {
-    participants = datasets.get(args[0]);
-    console.log('Participants:', participants);
-    setup({script})
-        .then(() => console.log('Script is ready'))
-        .catch(err => console.error(err));
-} else {
-    console.error(`Group dataset ${args[0]} could not be found`);
+/**
+ * Returns the inbound script for a group, given as a Map of phone numbers to names.
+ */
+export function conferenceScript(group) {
+    participants = group;
+    return script;
+}
+
+function main(args) {
+    if (args.length == 0) {
+        console.error('Usage: node conference.js group_name');
+    } else if (datasets.has(args[0])) {
+        console.log('Participants:', datasets.get(args[0]));
+        setup({script: conferenceScript(datasets.get(args[0]))})
+            .then(() => console.log('Script is ready'))
+            .catch(err => console.error(err));
+    } else {
+        console.error(`Group dataset ${args[0]} could not be found`);
+    }
+}
+
+// Run from the command line, rather than imported, e.g. by a test
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
 }
\ No newline at end of file
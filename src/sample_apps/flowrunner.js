@@ -0,0 +1,28 @@
+/**
+ * This is a sample application which answers inbound calls with a flow defined in a JSON or YAML file, 
+ * such as ivr.yaml.  To run it, use the following command:
+ * 
+ *   node flowrunner.js flow_file phone_number
+ * 
+ * where:
+ *   flow_file is the path of the flow definition
+ *   phone_number is one of your Twilio numbers, which will be configured to use the flow
+ */
+
+import { setup } from '../call.js';
+import { loadFlow } from '../flow.js';
+
+// Functions which may be called by the flow's function widgets
+const functions = {
+    logCaller: async (call, context) => console.log('Call from', call.from, 'with variables', context.variables),
+};
+
+const args = process.argv.slice(2);
+if (args.length < 2) {
+    console.error('Usage: node flowrunner.js flow_file phone_number');
+} else {
+    loadFlow(args[0], { functions })
+        .then(flow => setup({ script: call => flow.run(call), phoneNumber: args[1] }))
+        .then(() => console.log('Ready for calls'))
+        .catch(err => console.error(err.message));
+}
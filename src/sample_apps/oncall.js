@@ -2,10 +2,12 @@
  * This is a sample application to demonstrate the use of Voice scripting using the Call module. It simulates
  * a PagerDuty call flow, in which an automated system dials members of an on-call support team in turn, with
  * a message to deliver. Once the script finds a team member who acknowledges the message, the script stops.
+ * The calls are made by the huntGroup() function, which can call the team members in turn, all at once, or in
+ * rotation.
  * 
  * To run the script, use the following command:
  * 
- *   node oncall.js team_name from_number "Message to deliver"
+ *   node oncall.js team_name from_number "Message to deliver" [strategy]
  * 
  * where:
  *   team_name is used to look up a Map in the datasets.js file containing a list of phone numbers and associated 
@@ -15,98 +17,56 @@
  * 
  *   "Message to deliver" should be replaced with your own message.
  * 
+ *   strategy is one of sequential (the default), simultaneous or round-robin.
+ * 
  * If you are using Ngrok, make sure you have started the Ngrok agent. If not, modify the setup() call to provide
  * your web server URL.
  */
 
-import { Call, CallEndedException, setup, shutDown } from '../call.js';
+import { fileURLToPath } from 'node:url';
+import { setup, shutDown } from '../call.js';
+import { huntGroup } from '../huntgroup.js';
 import { datasets } from './datasets.js';
 
-const script = async function(team, fromNum, message) {
-    let messageAcknowledged = false;
+export const script = async function(team, fromNum, message, strategy) {
+    const members = [...team].map(([to, name]) => ({to, name}));
+    const result = await huntGroup(members, {
+        from: fromNum,
+        strategy,
+        message: member => `This is the on-call system with an important message for ${member.name}. ${message}`,
+        acknowledgePrompt: 'Press star to repeat the message, or 1 to acknowledge it',
+    });
 
-    for (let [number, name] of team) {
-        try {
-            const call = await Call.makeCall(number, fromNum);
-    
-            // If the call was answered...
-            if (call.status == 'in-progress') {
-                try {
-                    // Let's see if we get a human to respond.
-                    for (let numTries = 0; numTries < 2; numTries++) {
-                        call.gather({numDigits: 1, finishOnKey: ''})
-                            .say(`This is the on-call system with an important message for ${name} ` +
-                                 'Please press any key to listen to the message');
-                        await call.sendResponse();        
-                        if (call.digits) break;
-                    }
-        
-                    // No-one responded (maybe an answering machine), so try the next team member.
-                    if (!call.digits) {
-                        console.log(`${name} did not respond; hanging up`);
-                        call.say('We did not get your response. Goodbye.');
-                        call.hangup();
-                        await call.sendResponse();
-                        continue;
-                    }
-        
-                    // Play the message until the team member acknowledges that they've heard it.
-                    do {
-                        call.say({voice: 'Polly.Brian-Neural'}, message);
-                        call.gather({numDigits: 1, finishOnKey: ''})
-                            .say('Press star to repeat the message, or 1 to acknowledge it');
-                        await call.sendResponse();
-        
-                        switch (call.digits) {
-                            case '*': continue;
-                            case '1': 
-                                messageAcknowledged = true;
-                                break;
-                            default: continue;
-                        }
-                    } while (messageAcknowledged == false);
-        
-                    console.log(`${name} has acknowledged the message`);
-                    call.say('Thank you for responding. Goodbye.');
-                    call.hangup();
-                    await call.sendResponse();
-                    break;
-    
-                } catch (err) {
-                    // If the team member hung up before acknowledging the message, try the next member.
-                    if (err instanceof CallEndedException) {
-                        console.log(`${name} hung up without acknowledging the message`);
-                    } else {
-                        throw err;
-                    }
-                }
-    
-            } else {
-                // Busy, no answer, call failed, etc.
-                console.log(`${name} did not answer. Reason: ${call.status}; SIP code: ${call.sipResponseCode}`);
-            }
-        } catch (err) {
-            // Most likely the Twilio REST API rejected the call attempt in Call.makeCall().
-            console.error(`Call to ${name} failed: ${err.message}`);  
-        }
+    for (let attempt of result.attempts) {
+        console.log(`${attempt.name}: ${attempt.outcome}` + (attempt.reason ? ` (${attempt.reason})` : ''));
     }
-    if (!messageAcknowledged) {
+    if (result.acknowledgedBy) {
+        console.log(`${result.acknowledgedBy.name} has acknowledged the message`);
+    } else {
         console.log('No-one responded to the message');
     }
+    return result;
+}
+
+function main(args) {
+    if (args.length < 3) {
+        console.error('Usage: node oncall.js team_name from_number "Message to deliver" [strategy]');
+    } else if (datasets.has(args[0])) {
+        const team = datasets.get(args[0]);
+        const fromNum = args[1];
+        const message = args[2];
+        const strategy = args[3] || 'sequential';
+        console.log('Team:', team);
+        setup()
+            .then(() => script(team, fromNum, message, strategy))
+            .catch(err => console.error(err))
+            .finally(() => shutDown());  // Shuts down the web server
+    } else {
+        console.error(`Team dataset ${args[0]} could not be found`);
+    }
 }
 
-const args = process.argv.slice(2);
-if (args.length < 3) {
-    console.error('Usage: node oncall.js team_name from_number "Message to deliver"');
-} else if (datasets.has(args[0])) {
-    const team = datasets.get(args[0]);
-    const fromNum = args[1];
-    const message = args[2];
-    console.log('Team:', team);
-    setup()
-        .then(() => script(team, fromNum, message))
-        .catch(err => console.error(err))
-        .finally(() => shutDown());  // Shuts down the web server
-} else {
-    console.error(`Team dataset ${args[0]} could not be found`);
+// Run from the command line, rather than imported, e.g. by a test
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
 }
\ No newline at end of file
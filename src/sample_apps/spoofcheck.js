@@ -26,6 +26,7 @@ const script = async function(inCall) {
         console.log(`Checking inbound call. SH/ST status: ${inCall.stirVerstat ? inCall.stirVerstat : 'none'}`);
 
         let outCall;
+        let timedOut = false;
         try {
             outCall = await Call.makeCall(
                 inCall.from, 
@@ -33,25 +34,22 @@ const script = async function(inCall) {
                 {statusCallbackEvent: ['ringing', 'answered', 'completed']});
 
             // If the call is answered immediately, then most likely we went to voicemail. 
-            // Set a timer (2 secs) for the 'ringing' (180/183 status) -> 'in-progress' (200 status) callbacks.
+            // Allow 2 secs for the 'ringing' (180/183 status) -> 'in-progress' (200 status) callbacks,
+            // and cancel the call if it is not answered in time.
             if (outCall.status == 'ringing') {
-                console.log('Outbound call: starting timer');
-
-                // Cancel the call if the timer goes off
-                const answerTimeout = setTimeout(() => {
+                try {
+                    await outCall.nextEvent({signal: AbortSignal.timeout(2000), endCallOnAbort: true});
+                } catch (err) {
+                    if (err.name != 'TimeoutError') throw err;
                     console.log('Outbound call: answer timed out');
-                    outCall.cancel();
-                }, 2000);                                     
-                
-                await outCall.nextEvent();              // Next event should be 'in-progress' or 'canceled'
+                    timedOut = true;
+                }
                 if (outCall.status == 'in-progress') {  // Answered, so most likely voicemail
-                    console.log('Outbound call: canceling timer');
-                    clearTimeout(answerTimeout);
                     await outCall.nextEvent();          // Next event should be the webhook to get TwiML
                 }
             }
 
-            switch (outCall.status) {
+            switch (timedOut ? 'canceled' : outCall.status) {
                 case 'in-progress':
                     console.log('Outbound call was answered immediately, so inbound was likely not spoofed');
                     outCall.sendFinalResponse();
@@ -0,0 +1,30 @@
+import { parseCsv, toCsv } from '../csv.js';
+
+describe('CSV', () => {
+    test('parseCsv() with quoted fields and blank lines', () => {
+        const text = 'to, name ,note\r\n+16175551234,Alice,"Says ""hi"", often"\n\n+16175555678,Bob,"Two\nlines"\n';
+        expect(parseCsv(text)).toEqual([
+            { to: '+16175551234', name: 'Alice', note: 'Says "hi", often' },
+            { to: '+16175555678', name: 'Bob', note: 'Two\nlines' },
+        ]);
+    });
+
+    test('parseCsv() without a trailing newline, and with missing fields', () => {
+        expect(parseCsv('a,b\n1')).toEqual([{ a: '1', b: '' }]);
+        expect(parseCsv('')).toEqual([]);
+    });
+
+    test('parseCsv() unterminated quote', () => {
+        expect(() => parseCsv('a\n"oops')).toThrow(SyntaxError);
+    });
+
+    test('toCsv() round trip', () => {
+        const rows = [{ to: '+16175551234', outcome: 'confirmed' }, { to: '+16175555678', reason: 'busy, twice' }];
+        const text = toCsv(rows);
+        expect(text).toBe('to,outcome,reason\n+16175551234,confirmed,\n+16175555678,,"busy, twice"\n');
+        expect(parseCsv(text)).toEqual([
+            { to: '+16175551234', outcome: 'confirmed', reason: '' },
+            { to: '+16175555678', outcome: '', reason: 'busy, twice' },
+        ]);
+    });
+});
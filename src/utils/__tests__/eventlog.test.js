@@ -0,0 +1,28 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { JsonLinesFile, toJsonLines } from '../eventlog.js';
+
+const file = path.join(os.tmpdir(), `pvtk-events-${process.pid}.jsonl`);
+const events = [
+    { time: '2024-01-01T12:00:00.000Z', callSid: 'CA1', type: 'created', to: '+16175551234' },
+    { time: '2024-01-01T12:00:01.000Z', callSid: 'CA1', type: 'twiml', twiml: '<Response>\n<Hangup/></Response>' },
+];
+
+afterAll(() => fs.rm(file, { force: true }));
+
+test('toJsonLines() writes one event per line', () => {
+    const lines = toJsonLines(events).split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[2]).toBe('');
+    expect(lines.slice(0, 2).map(line => JSON.parse(line))).toEqual(events);
+    expect(toJsonLines([])).toBe('');
+});
+
+test('JsonLinesFile appends events in order', async () => {
+    const log = new JsonLinesFile(file);
+    log.write(events[0]);
+    await log.write(events[1]);
+    await new JsonLinesFile(file).write(events[0]);
+    expect(await fs.readFile(file, 'utf8')).toBe(toJsonLines([...events, events[0]]));
+});
\ No newline at end of file
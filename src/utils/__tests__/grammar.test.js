@@ -0,0 +1,41 @@
+import { Grammar } from '../grammar.js';
+
+const grammar = new Grammar({
+    confirm: { dtmf: '1', speech: ['confirm', 'yes', 'that is fine'] },
+    cancel: { dtmf: '2', speech: ['cancel', 'no'] },
+    reschedule: { dtmf: '3' },
+    operator: { dtmf: '00', speech: 'Operator' },
+});
+
+describe('Grammar', () => {
+    test('DTMF match', () => {
+        expect(grammar.match({ digits: '2' })).toBe('cancel');
+        expect(grammar.match({ digits: '00' })).toBe('operator');
+    });
+
+    test('Speech match ignores case and punctuation', () => {
+        expect(grammar.match({ speechResult: 'Yes, please.' })).toBe('confirm');
+        expect(grammar.match({ speechResult: 'I think that is fine' })).toBe('confirm');
+        expect(grammar.match({ speechResult: 'OPERATOR!' })).toBe('operator');
+    });
+
+    test('Intent name is the default synonym', () => {
+        expect(grammar.match({ speechResult: 'I need to reschedule' })).toBe('reschedule');
+    });
+
+    test('Synonyms match whole words only', () => {
+        expect(grammar.match({ speechResult: 'nothing' })).toBeUndefined();
+    });
+
+    test('No match', () => {
+        expect(grammar.match({ digits: '9' })).toBeUndefined();
+        expect(grammar.match({ speechResult: 'maybe' })).toBeUndefined();
+        expect(grammar.match({})).toBeUndefined();
+    });
+
+    test('hints and maxDigits', () => {
+        expect(grammar.hints).toEqual(['confirm', 'yes', 'that is fine', 'cancel', 'no', 'reschedule', 'operator']);
+        expect(grammar.maxDigits).toBe(2);
+        expect(new Grammar({ yes: {} }).maxDigits).toBeUndefined();
+    });
+});
@@ -0,0 +1,45 @@
+import { Counter, Gauge, Histogram, formatMetrics } from '../metrics.js';
+
+test('Counter counts by label', () => {
+    const counter = new Counter('calls_total', 'Calls');
+    counter.inc({ status: 'completed' });
+    counter.inc({ status: 'completed' });
+    counter.inc({ status: 'busy' }, 3);
+    counter.inc();
+    expect(counter.get({ status: 'completed' })).toBe(2);
+    expect(counter.get({ status: 'failed' })).toBe(0);
+    expect(counter.format()).toEqual([
+        '# HELP calls_total Calls',
+        '# TYPE calls_total counter',
+        'calls_total{status="completed"} 2',
+        'calls_total{status="busy"} 3',
+        'calls_total 1',
+    ]);
+});
+
+test('Label values are escaped', () => {
+    const counter = new Counter('errors_total', 'Errors');
+    counter.inc({ message: 'Say "hi"\nC:\\' });
+    expect(counter.format()[2]).toBe('errors_total{message="Say \\"hi\\"\\nC:\\\\"} 1');
+});
+
+test('Gauge is read when formatted', () => {
+    let value = 1;
+    const gauge = new Gauge('active', 'Active', () => value);
+    value = 5;
+    expect(gauge.format()[2]).toBe('active 5');
+});
+
+test('Histogram buckets are cumulative', () => {
+    const histogram = new Histogram('latency_seconds', 'Latency', [0.1, 1]);
+    [0.05, 0.5, 0.5, 2].forEach(value => histogram.observe(value));
+    expect(formatMetrics([histogram])).toBe([
+        '# HELP latency_seconds Latency',
+        '# TYPE latency_seconds histogram',
+        'latency_seconds_bucket{le="0.1"} 1',
+        'latency_seconds_bucket{le="1"} 3',
+        'latency_seconds_bucket{le="+Inf"} 4',
+        'latency_seconds_sum 3.05',
+        'latency_seconds_count 4',
+    ].join('\n') + '\n');
+});
\ No newline at end of file
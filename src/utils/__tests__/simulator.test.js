@@ -0,0 +1,501 @@
+import { setup, shutDown, Call, CallEndedException } from '../../call.js';
+import { Simulator, FarEnd, parseTwiml } from '../simulator.js';
+import { Timeout } from '../timeout.js';
+import { WebSocket } from 'ws';
+
+const port = 3002;
+const to = '+16175551234';
+const from = '+16175550000';
+const inboundNumber = '+16175559999';
+
+const sim = new Simulator({ serverUrl: `http://localhost:${port}`, phoneNumbers: [inboundNumber] });
+let inboundDigits;
+const events = [];
+
+async function inboundScript(call) {
+    call.gather({ numDigits: 1 }).say('Press a key');
+    await call.sendResponse();
+    inboundDigits = call.digits;
+    call.say('Goodbye');
+    call.hangup();
+    call.sendResponse();
+}
+
+beforeAll(() => {
+    return setup({ 
+        client: sim.client, 
+        serverUrl: sim.serverUrl, 
+        port, 
+        authToken: sim.authToken,
+        script: inboundScript,
+        phoneNumber: inboundNumber,
+        eventLog: event => events.push(event)
+    });
+});
+
+afterAll((done) => {
+    shutDown(done);
+});
+
+describe('TwiML parser', () => {
+    test('Parses nested elements, attributes and text', () => {
+        const response = parseTwiml(
+            '<?xml version="1.0" encoding="UTF-8"?><Response><Gather action="/webhook?a=1&amp;b=2" numDigits="1">' +
+            '<Say>Press &lt;1&gt;</Say></Gather><Redirect>/webhook</Redirect></Response>');
+        expect(response.name).toBe('Response');
+        expect(response.children.map(verb => verb.name)).toEqual(['Gather', 'Redirect']);
+        expect(response.children[0].attributes).toEqual({ action: '/webhook?a=1&b=2', numDigits: '1' });
+        expect(response.children[0].children[0].text).toBe('Press <1>');
+        expect(response.children[1].text).toBe('/webhook');
+    });
+
+    test('Empty document', () => {
+        expect(parseTwiml('')).toBeUndefined();
+    });
+});
+
+describe('Simulated outbound calls', () => {
+    test('Answer after 2 rings, press 1, then script hangs up', async () => {
+        sim.onCall(to, new FarEnd().ring(2).answer().press('1'));
+        const call = await Call.makeCall(to, from);
+        expect(call.status).toBe('in-progress');
+        expect(call.eventSource).toBe('webhook');
+
+        call.gather({ numDigits: 1 }).say('Press 1 to confirm');
+        await call.sendResponse();
+        expect(call.digits).toBe('1');
+
+        call.say('Confirmed. Goodbye.');
+        call.hangup();
+        await call.sendResponse();
+        expect(call.status).toBe('completed');
+
+        const simCall = await sim.lastCall.ended;
+        expect(simCall.responses).toHaveLength(2);
+        expect(simCall.responses[0]).toMatch(/<Gather numDigits="1" action="http:\/\/localhost:3002\/webhook">/);
+        expect(simCall.responses[0]).toMatch(/<Redirect>http:\/\/localhost:3002\/webhook<\/Redirect>/);
+        expect(simCall.responses[1]).toMatch(/<Say>Confirmed. Goodbye.<\/Say><Hangup\/>/);
+    });
+
+    test('ask() reprompts on no input and no match, then matches speech', async () => {
+        sim.onCall(to, new FarEnd().answer().silence().speak('purple').speak('Yes, that works', 0.8));
+        const call = await Call.makeCall(to, from);
+        const choices = { confirm: { dtmf: '1', speech: ['yes', 'confirm'] }, cancel: { dtmf: '2' } };
+        const answer = await call.ask('Say yes or press 1 to confirm', { choices, language: 'en-GB' });
+        expect(answer).toEqual({ via: 'speech', value: 'confirm', confidence: 0.8 });
+        call.hangup();
+        await call.sendResponse();
+
+        const simCall = sim.lastCall;
+        expect(simCall.responses[0]).toMatch(
+            '<Gather language="en-GB" input="dtmf speech" hints="yes, confirm, cancel" speechTimeout="auto" ' +
+            'numDigits="1" action="http://localhost:3002/webhook"><Say>Say yes or press 1 to confirm</Say></Gather>');
+        expect(simCall.responses[1]).toMatch(/<Say>Sorry, I didn't get that.<\/Say><Say>Say yes/);
+        expect(simCall.responses[2]).toMatch(/<Say>Sorry, I didn't understand.<\/Say><Say>Say yes/);
+    });
+
+    test('ask() accepts any keypress without choices, and gives up after maxTries', async () => {
+        sim.onCall(to, new FarEnd().answer().press('42').silence().silence());
+        const call = await Call.makeCall(to, from);
+        expect(await call.ask('Enter a number', { input: 'dtmf' })).toEqual({ via: 'dtmf', value: '42', confidence: 1 });
+        expect(await call.ask(gather => gather.play('https://example.com/prompt.mp3'), { maxTries: 2 })).toBeNull();
+        call.hangup();
+        await call.sendResponse();
+        expect(sim.lastCall.responses[1]).toMatch(/<Play>https:\/\/example.com\/prompt.mp3<\/Play>/);
+    });
+
+    test('Partial speech results arrive before the final result', async () => {
+        const partials = [{ unstable: 'I want' }, { stable: 'I want', unstable: 'to pay' }, { stable: 'I want to pay' }];
+        sim.onCall(to, new FarEnd().answer().speak('I want to pay my bill', 0.9, partials));
+        const call = await Call.makeCall(to, from);
+        expect(() => call.partialResults()).toThrow(Error);
+        call.gather({ input: 'speech', partial: true }).say('How can I help?');
+        const finished = call.sendResponse();
+        const results = [];
+        for await (const result of call.partialResults()) {
+            results.push(result);
+        }
+        await finished;
+        expect(results).toEqual([
+            { stableSpeechResult: '', unstableSpeechResult: 'I want', sequenceNumber: 1 },
+            { stableSpeechResult: 'I want', unstableSpeechResult: 'to pay', sequenceNumber: 2 },
+            { stableSpeechResult: 'I want to pay', unstableSpeechResult: '', sequenceNumber: 3 },
+        ]);
+        expect(call.speechResult).toBe('I want to pay my bill');
+        expect(sim.lastCall.responses[0]).toMatch('partialResultsCallback="http://localhost:3002/partial"');
+
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Busy', async () => {
+        sim.onCall(to, new FarEnd().ring().busy());
+        const call = await Call.makeCall(to, from);
+        expect(call.status).toBe('busy');
+        expect(call.sipResponseCode).toBe('486');
+        expect(sim.lastCall.responses).toHaveLength(0);
+    });
+
+    test('Far end hangs up before the script has finished', async () => {
+        sim.onCall(to, new FarEnd().answer().silence().hangup());
+        const call = await Call.makeCall(to, from);
+        call.gather().say('Press some keys');
+        await call.sendResponse();
+        expect(call.digits).toBeUndefined();
+
+        call.gather().say('Press some keys');
+        await expect(call.sendResponse()).rejects.toThrow(CallEndedException);
+    });
+
+    test('Dialed call is busy', async () => {
+        sim.onCall(to, new FarEnd().answer().dialResult('busy', 0));
+        const call = await Call.makeCall(to, from);
+        call.dial('+16175554321');
+        await call.sendResponse();
+        expect(call.eventSource).toBe('dial');
+        expect(call.childCalls[0].dialCallStatus).toBe('busy');
+        call.hangup();
+        await call.sendResponse();
+        expect(call.status).toBe('completed');
+    });
+
+    test('Async AMD reports machine_start, then machine_end_beep', async () => {
+        sim.onCall(to, new FarEnd().answer().answeredBy('machine_start', 'machine_end_beep'));
+        const call = await Call.makeCall(to, from, { machineDetection: 'DetectMessageEnd', asyncAmd: true });
+        const first = call.waitForAmd({ final: false }).then(verdict => [verdict, call.answeredBy]);
+        const final = call.waitForAmd().then(verdict => [verdict, call.answeredBy]);
+        call.pause({ length: 1 });
+        await call.sendResponse();
+        await expect(first).resolves.toEqual(['machine', 'machine_start']);
+        await expect(final).resolves.toEqual(['machine', 'machine_end_beep']);
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Waiting for an AMD verdict', async () => {
+        sim.onCall(to, new FarEnd().answer().answeredBy('human'));
+        let call = await Call.makeCall(to, from, { machineDetection: 'Enable' });
+        await expect(call.waitForAmd()).resolves.toBe('human');
+        call.hangup();
+        await call.sendResponse();
+
+        sim.onCall(to, new FarEnd().answer().answeredBy('machine_start'));
+        call = await Call.makeCall(to, from, { machineDetection: 'Enable', asyncAmd: true });
+        const verdict = call.waitForAmd();
+        call.pause({ length: 1 });
+        await call.sendResponse();
+        await expect(verdict).resolves.toBe('machine');
+        call.hangup();
+        await call.sendResponse();
+
+        sim.onCall(to, new FarEnd().answer().answeredBy('fax'));
+        call = await Call.makeCall(to, from, { machineDetection: 'Enable', asyncAmd: true });
+        await expect(call.waitForAmd({ timeout: 60000, signal: AbortSignal.abort() }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+        await expect(call.waitForAmd({ timeout: 1 })).resolves.toBe('unknown');
+        await expect(call.waitForAmd()).resolves.toBe('fax');
+        call.hangup();
+        await call.sendResponse();
+        await expect(call.waitForAmd()).resolves.toBe('fax');
+
+        sim.onCall(to, new FarEnd().answer().answeredBy('machine_start', 'machine_end_silence'));
+        call = await Call.makeCall(to, from, { machineDetection: 'DetectMessageEnd', asyncAmd: true });
+        call.hangup();
+        await call.sendResponse();
+        await expect(call.waitForAmd()).resolves.toBe('unknown');
+    });
+
+    test('Voicemail recording becomes available after the call has ended', async () => {
+        sim.onCall(to, new FarEnd().answer().leaveMessage(12));
+        const call = await Call.makeCall(to, from);
+        call.say('Please leave a message after the tone');
+        call.record({ maxLength: 60, playBeep: true });
+        await call.sendResponse();
+        expect(call.recordingSid).toMatch(/^RE/);
+        expect(call.recordingDuration).toBe('12');
+        expect(call.recordingUrl).toBeTruthy();
+        expect(call.digits).toBe('#');
+
+        call.say('Thank you. Goodbye.');
+        call.hangup();
+        await call.sendResponse();
+        expect(call.status).toBe('completed');
+
+        await call.waitForRecording();
+        expect(call.recordingStatus).toBe('completed');
+        expect(sim.lastCall.responses[0]).toMatch(/recordingStatusCallback="http:\/\/localhost:3002\/recording"/);
+    });
+
+    test('Silent recording is absent', async () => {
+        sim.onCall(to, new FarEnd().answer().silence());
+        const call = await Call.makeCall(to, from);
+        const attributes = { timeout: 5 };
+        call.record(attributes);
+        await call.sendResponse();
+        expect(call.recordingSid).toBeUndefined();
+        expect(attributes).toEqual({ timeout: 5 });        // Shared attributes are left unchanged
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Whole-call recording is paused while collecting card details', async () => {
+        sim.onCall(to, new FarEnd().answer().press('4111111111111111'));
+        const call = await Call.makeCall(to, from);
+        await call.startRecording({ recordingChannels: 'dual' });
+        expect(call.recordingSid).toMatch(/^RE/);
+        await call.nextRecordingEvent();
+        expect(call.eventSource).toBe('recording');
+        expect(call.recordingStatus).toBe('in-progress');
+
+        await call.pauseRecording();
+        expect(call.recordingStatus).toBe('paused');
+        call.gather({ finishOnKey: '#' }).say('Please enter your card number');
+        await call.sendResponse();
+        await call.resumeRecording();
+        expect(call.recordingStatus).toBe('in-progress');
+
+        await call.stopRecording();
+        await call.waitForRecording();
+        expect(call.recordingStatus).toBe('completed');
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Recording options are sanitized', async () => {
+        sim.onCall(to, new FarEnd().answer());
+        const call = await Call.makeCall(to, from);
+        await expect(call.startRecording({ recordingStatusCallback: 'https://someUrl' })).rejects.toThrow(TypeError);
+        await expect(call.pauseRecording()).rejects.toThrow(Error);
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Card payment reports its progress, then succeeds', async () => {
+        sim.onCall(to, new FarEnd().answer().enterPayment('success', '4111111111111111'));
+        const call = await Call.makeCall(to, from);
+        call.pay({ chargeAmount: '10.00' });
+        const paid = call.sendResponse();
+        const captures = [];
+        while (!call.paymentResult) {
+            await call.nextPaymentEvent();
+            if (call.eventSource === 'payment') captures.push(call.paymentCapture);
+        }
+        await paid;
+        expect(captures).toEqual(['payment-card-number', 'expiration-date', 'security-code']);
+        expect(call.paymentResult).toBe('success');
+        expect(call.paymentConfirmationCode).toBeDefined();
+        expect(call.paymentCardNumber).toBe('xxxx-xxxx-xxxx-1111');
+        expect(sim.lastCall.responses[0]).toMatch(/statusCallback="http:\/\/localhost:3002\/pay"/);
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Failed payment', async () => {
+        sim.onCall(to, new FarEnd().answer().enterPayment('payment-connector-error'));
+        const call = await Call.makeCall(to, from);
+        call.pay({ chargeAmount: '10.00' });
+        await call.sendResponse();
+        expect(call.paymentResult).toBe('payment-connector-error');
+        expect(call.paymentError).toBeDefined();
+        expect(call.paymentConfirmationCode).toBeUndefined();
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Rejected SIP transfer falls back to the script', async () => {
+        sim.onCall(to, new FarEnd().answer().referResult('failed', 603));
+        const call = await Call.makeCall(to, from);
+        call.refer('sip:alice@pbx.example.com');
+        await call.sendResponse();
+        expect(sim.lastCall.responses[0]).toMatch(/<Refer action="http:\/\/localhost:3002\/webhook"><Sip>sip:alice@pbx.example.com<\/Sip><\/Refer>/);
+        expect(call.referCallStatus).toBe('failed');
+        expect(call.referSipResponseCode).toBe('603');
+        call.hangup();
+        await call.sendResponse();
+    });
+
+    test('Error in an outbound script is handled', async () => {
+        sim.onCall(to, new FarEnd().answer().press('1'));
+        const call = await Call.makeCall(to, from);
+        call.gather({ numDigits: 1 }).say('Press a key');
+        await call.sendResponse();
+        try {
+            throw new Error('Database is down');
+        } catch (err) {
+            call.handleError(err);
+        }
+        const simCall = await sim.lastCall.ended;
+        expect(simCall.responses.pop()).toMatch(/<Say>We're sorry, we are experiencing difficulties.*<Hangup\/>/);
+        expect(call.timeline.find(event => event.type === 'exception'))
+            .toMatchObject({ name: 'Error', message: 'Database is down' });
+    });
+
+    test('Canceled while ringing', async () => {
+        sim.onCall(to, new FarEnd().ring(10).answer());
+        const call = await Call.makeCall(to, from, { statusCallbackEvent: ['ringing'] });
+        expect(call.status).toBe('ringing');
+        await call.cancel();
+        await call.nextEvent();
+        expect(call.status).toBe('canceled');
+    });
+
+    test('Aborting the wait for an answer cancels the call', async () => {
+        sim.onCall(to, new FarEnd().ring(20).answer());
+        const call = await Call.makeCall(to, from, { statusCallbackEvent: ['ringing'] });
+        await expect(call.nextEvent({ signal: AbortSignal.timeout(50), endCallOnAbort: true }))
+            .rejects.toMatchObject({ name: 'TimeoutError' });
+        const simCall = await sim.lastCall.ended;
+        expect(simCall.status).toBe('canceled');
+        expect(call.timeline.map(event => event.type)).toContain('aborted');
+    });
+
+    test('Aborting makeCall() and sendResponse()', async () => {
+        let controller = new AbortController();
+        sim.onCall(to, new FarEnd().ring(20).answer());
+        const callCount = sim.calls.length;
+        const promise = Call.makeCall(to, from, { signal: controller.signal, endCallOnAbort: true });
+        controller.abort(new Error('Never mind'));
+        await expect(promise).rejects.toThrow('Never mind');
+        while (sim.calls.length === callCount) await new Timeout(10).wait();   // The call is canceled once created
+        expect((await sim.lastCall.ended).status).toBe('canceled');
+
+        controller = new AbortController();
+        sim.onCall(to, new FarEnd().answer().silence());
+        const call = await Call.makeCall(to, from);
+        call.gather({ numDigits: 1, timeout: 30 }).say('Press a key');
+        const response = call.sendResponse({ signal: controller.signal, endCallOnAbort: true });
+        controller.abort();
+        await expect(response).rejects.toMatchObject({ name: 'AbortError' });
+        await sim.lastCall.ended;
+        await expect(call.sendResponse({ signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('Call timelines', () => {
+    test('Events are recorded and written to the event log', async () => {
+        sim.onCall(to, new FarEnd().ring().answer().answeredBy('human').dialResult('busy', 0));
+        const call = await Call.makeCall(to, from, { machineDetection: 'Enable' });
+        call.dial('+16175554321');
+        await call.sendResponse();
+        call.addEvent('note', { text: 'Dialed call was busy', ignored: undefined });
+        call.gather({ numDigits: 1 }).say('Press a key');
+        await expect(call.sendResponse()).rejects.toBeInstanceOf(CallEndedException);
+        await expect(call.sendResponse()).rejects.toBeInstanceOf(CallEndedException);
+
+        expect(call.timeline.map(event => event.type)).toEqual(
+            ['created', 'webhook', 'amd', 'twiml', 'dial', 'note', 'twiml', 'status', 'exception', 'exception']);
+        expect(call.timeline.every(event => event.callSid === call.sid && !isNaN(Date.parse(event.time)))).toBe(true);
+        const [created, webhook, amd, twiml, dial, note, , status, exception] = call.timeline;
+        expect(created).toMatchObject({ to, from, status: 'queued' });
+        expect(webhook.params).toMatchObject({ CallStatus: 'in-progress', AnsweredBy: 'human' });
+        expect(amd).toMatchObject({ answeredBy: 'human' });
+        expect(twiml.twiml).toMatch(/<Dial action=/);
+        expect(dial).toMatchObject({ dialCallStatus: 'busy', dialCallDuration: '0' });
+        expect(note).toEqual({ time: note.time, callSid: call.sid, type: 'note', text: 'Dialed call was busy' });
+        expect(status).toMatchObject({ status: 'completed' });
+        expect(exception).toMatchObject({ name: 'CallEndedException', status: 'completed' });
+        const metrics = await (await fetch(sim.serverUrl + '/metrics')).text();
+        expect(metrics).not.toMatch(/pvtk_script_exceptions_total\{name="CallEndedException"\}/);
+
+        await new Timeout(10).wait();       // Event log writes are asynchronous
+        expect(events.filter(event => event.callSid === call.sid)).toEqual(call.timeline);
+        const lines = call.exportTimeline().trim().split('\n');
+        expect(lines.map(line => JSON.parse(line))).toEqual(call.timeline);
+    });
+
+    test('Keypresses are left out of the timeline', async () => {
+        sim.onCall(to, new FarEnd().answer().press('1234'));
+        const call = await Call.makeCall(to, from);
+        call.gather({ numDigits: 4 }).say('Enter your PIN');
+        await call.sendResponse();
+        expect(call.digits).toBe('1234');
+        const webhook = call.timeline.filter(event => event.type === 'webhook').pop();
+        expect(webhook.params).toMatchObject({ CallSid: call.sid });
+        expect(webhook.params).not.toHaveProperty('Digits');
+        call.hangup();
+        await call.sendResponse();
+    });
+});
+
+describe('Simulated inbound calls', () => {
+    test('Call to a provisioned number runs the inbound script', async () => {
+        const simCall = sim.placeCall(from, inboundNumber, new FarEnd().press('7'));
+        await simCall.ended;
+        expect(inboundDigits).toBe('7');
+        expect(simCall.responses).toHaveLength(2);
+        expect(simCall.responses[1]).toMatch(/<Say>Goodbye<\/Say><Hangup\/>/);
+    });
+
+    test('A failed webhook request is recorded on the simulated call', async () => {
+        const offline = new Simulator({ serverUrl: 'http://localhost:3999' });
+        const simCall = await offline.placeCall(from, inboundNumber, new FarEnd()).ended;
+        expect(simCall.status).toBe('failed');
+        expect(simCall.error.message).toBe('fetch failed');
+    });
+});
+
+describe('Simulated Media Streams', () => {
+    test('Unsigned WebSocket connections are refused', async () => {
+        const connect = headers => new Promise(fulfill => {
+            const socket = new WebSocket(`ws://localhost:${port}/stream`, { headers });
+            socket.on('unexpected-response', (request, response) => fulfill(response.statusCode));
+            socket.on('open', () => {
+                socket.close();
+                fulfill(101);
+            });
+        });
+        expect(await connect({})).toBe(401);
+        expect(await connect({ 'X-Twilio-Signature': 'forged' })).toBe(401);
+    });
+
+    test('Unidirectional stream delivers decoded audio', async () => {
+        sim.onCall(to, new FarEnd().answer().streamAudio(Buffer.from([1, 2, 3]), Buffer.from([4, 5, 6])).silence());
+        const call = await Call.makeCall(to, from);
+        const stream = call.stream({ parameters: { language: 'en-US' } });
+        call.gather().say('Say something');
+        const nextStep = call.sendResponse();
+
+        const messages = [];
+        for await (const message of stream) {
+            messages.push(message);
+            if (messages.length === 3) break;
+        }
+        expect(messages.map(message => message.event)).toEqual(['start', 'media', 'media']);
+        expect(stream.customParameters).toEqual({ language: 'en-US' });
+        expect(stream.callSid).toBe(call.sid);
+        expect(messages[2].media.payload).toEqual(Buffer.from([4, 5, 6]));
+        expect(() => stream.sendAudio(Buffer.from([0]))).toThrow(Error);
+
+        await nextStep;
+        call.hangup();
+        await call.sendResponse();
+        expect(sim.lastCall.responses[0]).toMatch(/<Start><Stream url="ws:\/\/localhost:3002\/stream">/);
+        for await (const message of stream) {
+            expect(message.event).toBe('stop');
+        }
+    });
+
+    test('Bidirectional stream returns control to the script when closed', async () => {
+        sim.onCall(to, new FarEnd().answer());
+        const call = await Call.makeCall(to, from);
+        const stream = call.connect().stream();
+        const nextStep = call.sendResponse();
+
+        for await (const message of stream) {
+            if (message.event === 'start') {
+                stream.sendAudio(Buffer.from([7, 8, 9]));
+                stream.sendMark('played');
+            } else if (message.event === 'mark') {
+                expect(message.mark.name).toBe('played');
+                stream.close();
+            }
+        }
+        await nextStep;
+        expect(call.eventSource).toBe('webhook');
+        expect(sim.lastCall.streamMessages[0].media.payload).toBe(Buffer.from([7, 8, 9]).toString('base64'));
+        expect(sim.lastCall.responses[0]).toMatch(/<Connect action="http:\/\/localhost:3002\/webhook"><Stream/);
+
+        call.hangup();
+        await call.sendResponse();
+    });
+});
@@ -0,0 +1,57 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { MemoryStore, FileStore, isCallSid } from '../store.js';
+
+const sid = 'CA00000000000000000000000000000000';
+const state = { properties: { sid, status: 'in-progress', digits: '1' }, childCalls: [{ dialCallStatus: 'busy' }] };
+const directory = path.join(os.tmpdir(), `pvtk-store-${process.pid}`);
+
+afterAll(() => fs.rm(directory, { recursive: true, force: true }));
+
+describe.each([
+    ['MemoryStore', () => new MemoryStore()],
+    ['FileStore', () => new FileStore(directory)],
+])('%s', (name, makeStore) => {
+    test('set() then get()', async () => {
+        const store = makeStore();
+        await store.set(sid, state);
+        expect(await store.get(sid)).toEqual(state);
+    });
+
+    test('Saved state is a copy', async () => {
+        const store = makeStore();
+        const copy = structuredClone(state);
+        await store.set(sid, copy);
+        copy.properties.digits = '2';
+        expect((await store.get(sid)).properties.digits).toBe('1');
+    });
+
+    test('delete()', async () => {
+        const store = makeStore();
+        await store.set(sid, state);
+        await store.delete(sid);
+        expect(await store.get(sid)).toBeUndefined();
+        await store.delete(sid);        // Deleting again is harmless
+    });
+
+    test('Unknown call', async () => {
+        expect(await makeStore().get('CA11111111111111111111111111111111')).toBeUndefined();
+    });
+});
+
+test('FileStore survives a restart', async () => {
+    await new FileStore(directory).set(sid, state);
+    expect(await new FileStore(directory).get(sid)).toEqual(state);
+});
+
+
+test('FileStore rejects SIDs that are not call SIDs', async () => {
+    const store = new FileStore(directory);
+    for (let badSid of ['../../etc/passwd', 'CA0000000000000000000000000000000/', 'ca00000000000000000000000000000000']) {
+        await expect(store.get(badSid)).rejects.toThrow(TypeError);
+        await expect(store.set(badSid, state)).rejects.toThrow(TypeError);
+        await expect(store.delete(badSid)).rejects.toThrow(TypeError);
+    }
+    expect(isCallSid(sid)).toBe(true);
+});
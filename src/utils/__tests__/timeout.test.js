@@ -42,4 +42,32 @@ describe('Timeout class', () => {
             expect(err.message).toBe('Should time out');
         }
     });
-})
\ No newline at end of file
+})
+
+describe('Clearing and aborting timeouts', () => {
+    test('clear() stops the timer', async () => {
+        const timeout = new Timeout(50, 'Should not time out');
+        expect(timeout.clear()).toBe(true);
+        expect(timeout.clear()).toBe(false);
+        const result = await Promise.race([timeout.wait(), new Timeout(100).wait()]);
+        expect(result).toBeUndefined();
+    });
+
+    test('clear() returns false once the timer has expired', async () => {
+        const timeout = new Timeout(10);
+        await timeout.wait();
+        expect(timeout.clear()).toBe(false);
+    });
+
+    test('An aborted signal rejects the timeout', async () => {
+        const controller = new AbortController();
+        const timeout = new Timeout(1000, undefined, { signal: controller.signal });
+        setTimeout(() => controller.abort(new Error('Aborted')), 10);
+        await expect(timeout.wait()).rejects.toThrow('Aborted');
+        expect(timeout.clear()).toBe(false);
+
+        const signal = AbortSignal.abort();
+        await expect(new Timeout(1000, 'Timed out', { signal }).apply(new Promise(() => {})))
+            .rejects.toThrow(DOMException);
+    });
+});
@@ -47,6 +47,14 @@ describe('TwiML tests', () => {
         expect(twiml.toString()).toMatch(/<Play loop="2">https:\/\/someUrl.foo.wav<\/Play>/)
     });
 
+    test('Gather with partial results', () => {
+        let twiml = makeTwiml();
+        twiml.gather({ input: 'speech', partial: true });
+        twiml.gather({ input: 'speech', partial: false });
+        expect(twiml.toString()).toMatch(
+            /<Gather input="speech" partialResultsCallback="\/partial" action="\/webhook"\/><Gather input="speech" action="\/webhook"\/>/);
+    });
+
     test('Gather errors', () => {
         let twiml = makeTwiml();
         expect(() => twiml.gather({ action: 'https://someUrl' })).toThrow(TypeError);
@@ -119,7 +127,8 @@ describe('TwiML tests', () => {
         let twiml = makeTwiml();
         let dial = twiml.dial();
         dial.conference("myconf");
-        expect(twiml.toString()).toMatch(/<Dial action="\/dial"><Conference>myconf<\/Conference><\/Dial>/);
+        expect(twiml.toString()).toMatch(
+            /<Dial action="\/dial"><Conference statusCallback="\/conference">myconf<\/Conference><\/Dial>/);
     });
 
     test('Dial Conference error', () => {
@@ -139,21 +148,63 @@ describe('TwiML tests', () => {
         expect(() => twiml.dial.queue({ url: 'https://someUrl' })).toThrow(TypeError);
     });
 
+    test('Record ok', () => {
+        let twiml = makeTwiml();
+        twiml.record({ maxLength: 30, playBeep: true });
+        expect(twiml.toString()).toMatch(
+            /<Record maxLength="30" playBeep="true" action="\/webhook" recordingStatusCallback="\/recording"\/>/);
+    });
+
+    test('Record errors', () => {
+        let twiml = makeTwiml();
+        expect(() => twiml.record({ action: 'https://someUrl' })).toThrow(TypeError);
+        expect(() => twiml.record({ recordingStatusCallback: 'https://someUrl' })).toThrow(TypeError);
+    });
+
+    test('Pay ok', () => {
+        let twiml = makeTwiml();
+        twiml.pay({ chargeAmount: '10.00', paymentConnector: 'Default' });
+        expect(twiml.toString()).toMatch(
+            /<Pay chargeAmount="10.00" paymentConnector="Default" action="\/webhook" statusCallback="\/pay"\/>/);
+    });
+
+    test('Pay errors', () => {
+        let twiml = makeTwiml();
+        expect(() => twiml.pay({ action: 'https://someUrl' })).toThrow(TypeError);
+        expect(() => twiml.pay({ statusCallback: 'https://someUrl' })).toThrow(TypeError);
+    });
+
+    test('Refer ok', () => {
+        let twiml = makeTwiml();
+        twiml.refer().sip('sip:alice@pbx.example.com');
+        expect(twiml.toString()).toMatch(/<Refer action="\/webhook"><Sip>sip:alice@pbx.example.com<\/Sip><\/Refer>/);
+    });
+
+    test('Refer errors', () => {
+        let twiml = makeTwiml();
+        expect(() => twiml.refer({ action: 'https://someUrl' })).toThrow(TypeError);
+        expect(() => twiml.refer({ method: 'GET' })).toThrow(TypeError);
+    });
+
     test('Unimplemented verbs', () => {
         const twiml = makeTwiml();
         expect(() => twiml.connect()).toThrow(TypeError);
         expect(() => twiml.echo()).toThrow(TypeError);
         expect(() => twiml.enqueue()).toThrow(TypeError);
         expect(() => twiml.leave()).toThrow(TypeError);
-        expect(() => twiml.pay()).toThrow(TypeError);
-        expect(() => twiml.record()).toThrow(TypeError);
         expect(() => twiml.redirect()).toThrow(TypeError);
-        expect(() => twiml.refer()).toThrow(TypeError);
         expect(() => twiml.siprec()).toThrow(TypeError);
         expect(() => twiml.sms()).toThrow(TypeError);
         expect(() => twiml.stream()).toThrow(TypeError);
     });
 
+    test('Connect (internal only)', () => {
+        const twiml = _makeTwiml();
+        twiml.connect().stream({ url: 'wss://someUrl/stream' });
+        expect(twiml.toString()).toMatch(/<Connect action="\/webhook"><Stream url="wss:\/\/someUrl\/stream"\/><\/Connect>/);
+        expect(() => _makeTwiml().connect({ action: 'https://someUrl' })).toThrow(TypeError);
+    });
+
     test('Redirect (internal only)', () => {
         const twiml = _makeTwiml();
         twiml.redirect('/foo');
@@ -0,0 +1,77 @@
+/**
+ * @module asyncqueue
+ *
+ * @description Provides a queue that can be consumed with a for await...of loop, for delivering a stream of events
+ * to a script as they arrive.
+ *
+ * @example
+ * const queue = new AsyncQueue();
+ * setTimeout(() => { queue.push('a'); queue.push('b'); queue.end(); }, 100);
+ * for await (const item of queue) {
+ *     console.log(item);  // 'a', then 'b'
+ * }
+ */
+
+/**
+ * @classdesc
+ * Queue of items that can be iterated asynchronously.  Items pushed before the queue is iterated are buffered.
+ */
+export class AsyncQueue {
+    #items = [];        // Items waiting to be consumed
+    #waiters = [];      // Consumers waiting for items: {fulfill, reject}
+    #ended = false;
+    #error;
+
+    /**  True when no more items will be added to the queue  */
+    get ended() {
+        return this.#ended;
+    }
+
+    /**
+     * Adds an item to the queue.  Ignored if the queue has ended.
+     * @param {any} item - The item
+     */
+    push(item) {
+        if (this.#ended) return;
+        if (this.#waiters.length > 0) {
+            this.#waiters.shift().fulfill({ value: item, done: false });
+        } else {
+            this.#items.push(item);
+        }
+    }
+
+    /**
+     * Marks the end of the queue.  Iteration stops once any buffered items have been consumed.
+     * @param {Error} [err] - If present, iteration will throw this error once the buffered items have been consumed
+     */
+    end(err) {
+        if (this.#ended) return;
+        this.#ended = true;
+        this.#error = err;
+        for (let waiter of this.#waiters.splice(0)) {
+            if (err) waiter.reject(err);
+            else waiter.fulfill({ value: undefined, done: true });
+        }
+    }
+
+    /**
+     * Gets the next item from the queue.
+     * @returns {Promise} - Promise that resolves to an iterator result: {value, done}
+     */
+    next() {
+        if (this.#items.length > 0) {
+            return Promise.resolve({ value: this.#items.shift(), done: false });
+        } else if (this.#ended) {
+            return this.#error ? Promise.reject(this.#error) : Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((fulfill, reject) => this.#waiters.push({ fulfill, reject }));
+    }
+
+    /**
+     * Returns the queue itself as an async iterator.
+     * @returns {AsyncQueue}
+     */
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
\ No newline at end of file
@@ -4,6 +4,7 @@
  * @description The client module provides support for creating a Twilio API client.  The getClient() function will accept 
  * an account SID and API key+secret, or else it will look for the standard environment variables TWILIO_ACCOUNT_SID, 
  * TWILIO_API_KEY and TWILIO_API_SECRET, first in the operating system environment, and then in the Node.js .env file.
+ * Similarly, the getAuthToken() function looks for TWILIO_AUTH_TOKEN, which is used to validate webhook signatures.
  */
 
 import 'dotenv/config';
@@ -21,4 +22,14 @@ export function getClient(accountSid = process.env.TWILIO_ACCOUNT_SID,
                           apiSecret = process.env.TWILIO_API_SECRET) 
 {
     return new Twilio(apiKey, apiSecret, { accountSid });
+}
+
+/**
+ * Function which returns the account auth token, used to validate the X-Twilio-Signature header of webhooks 
+ * and status callbacks.
+ * @param {string} [ authToken = process.env.TWILIO_AUTH_TOKEN ] - Auth token
+ * @returns {string} - Auth token, or undefined if not set
+ */
+export function getAuthToken(authToken = process.env.TWILIO_AUTH_TOKEN) {
+    return authToken;
 }
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * @module csv
+ *
+ * @description Provides functions to read and write CSV, as used for campaign contact lists and reports.
+ * Fields may be quoted with double quotes, in which case they may contain commas, newlines and doubled quotes.
+ *
+ * @example
+ * const contacts = parseCsv('to,name\n+16175551234,Alice\n');  // [{ to: '+16175551234', name: 'Alice' }]
+ */
+
+/**
+ * Parses CSV text with a header row into an array of objects, one per row, keyed by the header fields.
+ * Blank lines are ignored.
+ * @param {string} text - The CSV text
+ * @returns {Object[]} - The rows
+ * @throws {SyntaxError} - If a quoted field is not terminated
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+
+    const endField = () => { record.push(field); field = ''; };
+    const endRecord = () => {
+        endField();
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+    };
+
+    while (i < text.length) {
+        const c = text[i++];
+        if (quoted) {
+            if (c === '"' && text[i] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            endField();
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i] === '\n') i++;
+            endRecord();
+        } else {
+            field += c;
+        }
+    }
+    if (quoted) {
+        throw new SyntaxError('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || record.length > 0) endRecord();
+
+    const [header, ...rows] = records;
+    if (!header) return [];
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ''])));
+}
+
+/*
+ * Quotes a field, if necessary.
+ */
+function quote(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats an array of objects as CSV, with a header row.  The columns are the keys of all the objects,
+ * in the order in which they are first found.
+ * @param {Object[]} rows - The rows
+ * @returns {string} - The CSV text
+ */
+export function toCsv(rows) {
+    const keys = [];
+    for (let row of rows) {
+        for (let key of Object.keys(row)) {
+            if (!keys.includes(key)) keys.push(key);
+        }
+    }
+    const lines = [keys.map(quote).join(',')];
+    for (let row of rows) {
+        lines.push(keys.map(key => quote(row[key])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
\ No newline at end of file
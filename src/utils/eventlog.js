@@ -0,0 +1,53 @@
+/**
+ * @module eventlog
+ *
+ * @description Provides event logs, which receive the timeline of every call as it happens: its creation, each
+ * webhook and the TwiML returned, status changes, Answering Machine Detection verdicts, the results of dialed
+ * calls, and exceptions.  Pass an event log to setup() to use it.
+ *
+ * An event log is any object with a write(event) method, which may be async, so other destinations, such as a
+ * logging service, may be plugged in.  A function which is passed each event may also be used.  An event is a
+ * JSON-serializable object of the form {time, callSid, type, ...details}.
+ *
+ * @example
+ * await setup({ eventLog: new JsonLinesFile('./calls.jsonl') });
+ */
+
+import fs from 'node:fs/promises';
+
+/**
+ * Formats events as JSON lines, i.e. one JSON object per line.
+ * @param {Object[]} events - The events
+ * @returns {string} - The JSON lines
+ */
+export function toJsonLines(events) {
+    return events.map(event => JSON.stringify(event) + '\n').join('');
+}
+
+/**
+ * @classdesc
+ * Appends events to a file as JSON lines.  The file is created if necessary.
+ */
+export class JsonLinesFile {
+    #file;
+    #writes = Promise.resolve();    // Writes are made one at a time, so that events are appended in order
+
+    /**
+     * Constructor.
+     * @param {string} file - The path of the file
+     */
+    constructor(file) {
+        this.#file = file;
+    }
+
+    /**
+     * Appends an event to the file.
+     * @param {Object} event - The event
+     * @returns {Promise} - Promise that resolves once the event has been written
+     */
+    write(event) {
+        const line = toJsonLines([event]);
+        this.#writes = this.#writes.catch(() => {}).then(() => fs.appendFile(this.#file, line));
+        return this.#writes;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * @module grammar
+ *
+ * @description Provides a simple grammar of expected intents, used by Call.ask() to interpret the result of a
+ * &lt;Gather&gt;.  Each intent may be chosen by a keypress, or by saying one of its synonyms.
+ *
+ * @example
+ * const grammar = new Grammar({
+ *     confirm: { dtmf: '1', speech: ['confirm', 'yes', 'that is fine'] },
+ *     cancel: { dtmf: '2', speech: ['cancel', 'no'] },
+ * });
+ * grammar.match({ speechResult: 'Yes, please.' });    // 'confirm'
+ */
+
+/*
+ * Reduces a phrase to lower case words separated by single spaces, without punctuation.
+ */
+function normalize(phrase) {
+    return phrase.toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').trim().split(/\s+/).join(' ');
+}
+
+/**
+ * @classdesc
+ * A grammar of intents, each of which has a DTMF key sequence and/or a list of spoken synonyms.
+ */
+export class Grammar {
+    #intents = [];      // {name, dtmf, speech}, in order of precedence
+
+    /**
+     * Constructor.
+     * @param {Object} intents - The intents, indexed by name, each of the form {dtmf, speech}, where dtmf is a
+     * string of digits, and speech is a synonym or an array of synonyms.  If speech is not given, the name of
+     * the intent is used as its only synonym.
+     */
+    constructor(intents) {
+        for (let name in intents) {
+            const { dtmf, speech = name } = intents[name];
+            const synonyms = Array.isArray(speech) ? speech : [speech];
+            this.#intents.push({ name, dtmf, speech: synonyms.map(normalize) });
+        }
+    }
+
+    /**
+     * The spoken synonyms of all the intents, suitable for use as speech recognition hints.
+     * @type {string[]}
+     */
+    get hints() {
+        return this.#intents.flatMap(intent => intent.speech);
+    }
+
+    /**
+     * The length of the longest DTMF key sequence, or undefined if no intent has one.
+     * @type {number}
+     */
+    get maxDigits() {
+        const lengths = this.#intents.filter(intent => intent.dtmf).map(intent => intent.dtmf.length);
+        return lengths.length > 0 ? Math.max(...lengths) : undefined;
+    }
+
+    /**
+     * Finds the intent matching the result of a &lt;Gather&gt;.  Speech matches an intent if it contains one of
+     * the intent's synonyms as whole words; if it matches more than one intent, the first is chosen.
+     * @param {Object} result - The result, of the form {digits, speechResult}, such as a Call object
+     * @returns {string} - The name of the matching intent, or undefined if there is no match
+     */
+    match(result) {
+        if (result.digits) {
+            const intent = this.#intents.find(intent => intent.dtmf === result.digits);
+            return intent && intent.name;
+        }
+        if (result.speechResult) {
+            const speech = ` ${normalize(result.speechResult)} `;
+            const intent = this.#intents.find(intent =>
+                intent.speech.some(synonym => speech.includes(` ${synonym} `)));
+            return intent && intent.name;
+        }
+        return undefined;
+    }
+}
\ No newline at end of file
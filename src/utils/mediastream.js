@@ -0,0 +1,183 @@
+/**
+ * @module mediastream
+ *
+ * @description Provides support for [Media Streams]{@link https://www.twilio.com/docs/voice/media-streams}, which
+ * deliver the audio of a call in real time over a WebSocket. A MediaStream object is returned by Call.stream() or
+ * Call.connect().stream(), and may be iterated with a for await...of loop to receive the stream's messages.
+ * The payload of each 'media' message is decoded into a Buffer of 8kHz μ-law audio.
+ *
+ * @example
+ * const stream = call.stream();
+ * await call.sendResponse();
+ * for await (const message of stream) {
+ *     if (message.event === 'media') transcriber.write(message.media.payload);
+ * }
+ */
+
+import { WebSocketServer } from 'ws';
+import log from 'loglevel';
+import { AsyncQueue } from './asyncqueue.js';
+
+/**
+ * @classdesc
+ * Represents a Media Stream, and the messages received on it: 'start', 'media', 'dtmf', 'mark' and 'stop'.
+ * <br>See {@link https://www.twilio.com/docs/voice/media-streams/websocket-messages}
+ */
+export class MediaStream {
+    #socket;
+    #queue = new AsyncQueue();
+
+    /**  The stream SID, once the stream has started  */
+    streamSid;
+
+    /**  The SID of the call being streamed  */
+    callSid;
+
+    /**  The tracks being streamed: ['inbound'], ['outbound'] or ['inbound', 'outbound']  */
+    tracks;
+
+    /**  The format of the audio: {encoding, sampleRate, channels}  */
+    mediaFormat;
+
+    /**  Custom parameters passed to the stream  */
+    customParameters;
+
+    /**  True if audio can be sent back to the call, i.e. if the stream was created by &lt;Connect&gt;&lt;Stream&gt;  */
+    bidirectional;
+
+    /*
+     * Do not call directly. Use Call.stream() or Call.connect().stream() instead.
+     */
+    constructor(bidirectional = false) {
+        this.bidirectional = bidirectional;
+    }
+
+    /*
+     * Attaches the stream to a WebSocket, upon receipt of the 'start' message.
+     */
+    _start(socket, message) {
+        this.#socket = socket;
+        this.streamSid = message.start.streamSid;
+        this.callSid = message.start.callSid;
+        this.tracks = message.start.tracks;
+        this.mediaFormat = message.start.mediaFormat;
+        this.customParameters = message.start.customParameters;
+        this.#queue.push(message);
+    }
+
+    /*
+     * Queues a message received on the WebSocket, decoding any media payload.
+     */
+    _receive(message) {
+        if (message.event === 'media') {
+            message.media.payload = Buffer.from(message.media.payload, 'base64');
+        }
+        this.#queue.push(message);
+        if (message.event === 'stop') {
+            this.#queue.end();
+        }
+    }
+
+    /*
+     * Ends the stream when the WebSocket is closed.
+     */
+    _close() {
+        this.#queue.end();
+    }
+
+    /*
+     * Sends a message to Twilio.
+     */
+    #send(message) {
+        if (!this.#socket) {
+            throw new Error('Media stream has not started');
+        }
+        if (!this.bidirectional) {
+            throw new Error('Messages can only be sent on a bidirectional stream');
+        }
+        this.#socket.send(JSON.stringify({ ...message, streamSid: this.streamSid }));
+    }
+
+    /**
+     * Sends audio to be played to the call.  Only allowed on a bidirectional stream.
+     * @param {Buffer} payload - 8kHz μ-law audio, without file headers
+     */
+    sendAudio(payload) {
+        this.#send({ event: 'media', media: { payload: payload.toString('base64') } });
+    }
+
+    /**
+     * Sends a mark message, which Twilio will return once all preceding audio has been played.
+     * Only allowed on a bidirectional stream.
+     * @param {string} name - The name of the mark
+     */
+    sendMark(name) {
+        this.#send({ event: 'mark', mark: { name } });
+    }
+
+    /**
+     * Clears any audio that has been sent but not yet played.  Only allowed on a bidirectional stream.
+     */
+    clear() {
+        this.#send({ event: 'clear' });
+    }
+
+    /**
+     * Closes the WebSocket, which ends the stream.  For a bidirectional stream, this returns control of the call
+     * to the script.
+     */
+    close() {
+        if (this.#socket) this.#socket.close();
+        this.#queue.end();
+    }
+
+    /**
+     * Returns an async iterator of the messages received on the stream.
+     * @returns {AsyncQueue}
+     */
+    [Symbol.asyncIterator]() {
+        return this.#queue;
+    }
+}
+
+/**
+ * Creates a WebSocket server, attached to an HTTP server, to receive Media Streams.
+ * @param {Object} server - The HTTP server
+ * @param {string} path - The path of the WebSocket endpoint
+ * @param {Function} claimStream - Called with the 'start' message properties and the HTTP upgrade request; 
+ * returns the MediaStream for the call, or undefined if no stream is expected
+ * @param {Function} [verifyClient] - Called with the HTTP upgrade request; returns false if the connection 
+ * should be refused, e.g. because the request's Twilio signature is invalid
+ * @returns {WebSocketServer} - The WebSocket server
+ */
+export function attachStreamServer(server, path, claimStream, verifyClient = () => true) {
+    const wss = new WebSocketServer({ server, path, verifyClient: info => verifyClient(info.req) });
+    wss.on('connection', (socket, request) => {
+        let stream;
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (err) {
+                log.warn('Invalid media stream message:', err.message);
+                return;
+            }
+
+            if (message.event === 'start') {
+                stream = claimStream(message.start, request);
+                if (stream) {
+                    stream._start(socket, message);
+                } else {
+                    log.warn('Media stream for call', message.start.callSid, 'was not expected');
+                    socket.close();
+                }
+            } else if (stream) {
+                stream._receive(message);
+            }
+        });
+        socket.on('close', () => {
+            if (stream) stream._close();
+        });
+    });
+    return wss;
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * @module metrics
+ *
+ * @description Provides counters, gauges and histograms, which are formatted in the Prometheus text exposition
+ * format, as served by the '/metrics' endpoint of the toolkit's router.
+ * See {@link https://prometheus.io/docs/instrumenting/exposition_formats/}
+ *
+ * @example
+ * const calls = new Counter('pvtk_calls_total', 'Calls that have ended, by final status');
+ * calls.inc({ status: 'completed' });
+ * response.type('text/plain').send(formatMetrics([calls]));
+ */
+
+/*
+ * Formats a set of labels, e.g. {status="completed"}.
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/*
+ * Formats the header lines of a metric.
+ */
+function formatHeader(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+/**
+ * @classdesc
+ * A count that only goes up, optionally broken down by labels.
+ */
+export class Counter {
+    #name;
+    #help;
+    #values = new Map();        // Counts, indexed by formatted labels
+
+    /**
+     * Constructor.
+     * @param {string} name - The name of the metric, which should end in '_total'
+     * @param {string} help - Description of the metric
+     */
+    constructor(name, help) {
+        this.#name = name;
+        this.#help = help;
+    }
+
+    /**
+     * Increments the count.
+     * @param {Object} [labels] - Labels, e.g. {status: 'completed'}
+     * @param {number} [value=1] - The amount by which to increment the count
+     */
+    inc(labels={}, value=1) {
+        const key = formatLabels(labels);
+        this.#values.set(key, (this.#values.get(key) || 0) + value);
+    }
+
+    /**
+     * Gets the count.
+     * @param {Object} [labels] - Labels
+     * @returns {number} - The count
+     */
+    get(labels={}) {
+        return this.#values.get(formatLabels(labels)) || 0;
+    }
+
+    /**
+     * Formats the metric.
+     * @returns {string[]} - Lines in the Prometheus text format
+     */
+    format() {
+        const lines = formatHeader(this.#name, this.#help, 'counter');
+        for (let [key, value] of this.#values) {
+            lines.push(`${this.#name}${key} ${value}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * @classdesc
+ * A value that may go up and down, which is read when the metrics are formatted.
+ */
+export class Gauge {
+    #name;
+    #help;
+    #collect;
+
+    /**
+     * Constructor.
+     * @param {string} name - The name of the metric
+     * @param {string} help - Description of the metric
+     * @param {Function} collect - Function which returns the current value
+     */
+    constructor(name, help, collect) {
+        this.#name = name;
+        this.#help = help;
+        this.#collect = collect;
+    }
+
+    /**
+     * Formats the metric.
+     * @returns {string[]} - Lines in the Prometheus text format
+     */
+    format() {
+        return [...formatHeader(this.#name, this.#help, 'gauge'), `${this.#name} ${this.#collect()}`];
+    }
+}
+
+/**
+ * @classdesc
+ * A distribution of observed values, such as durations, counted in cumulative buckets.
+ */
+export class Histogram {
+    #name;
+    #help;
+    #buckets;
+    #counts;
+    #sum = 0;
+    #count = 0;
+
+    /**
+     * Constructor.
+     * @param {string} name - The name of the metric
+     * @param {string} help - Description of the metric
+     * @param {number[]} [buckets] - Upper bounds of the buckets, in ascending order.  Defaults to bounds suitable
+     * for webhook response times, from 5ms to 10s.
+     */
+    constructor(name, help, buckets=[0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        this.#name = name;
+        this.#help = help;
+        this.#buckets = buckets;
+        this.#counts = buckets.map(() => 0);
+    }
+
+    /**
+     * Records a value.
+     * @param {number} value - The value
+     */
+    observe(value) {
+        this.#buckets.forEach((bound, index) => {
+            if (value <= bound) this.#counts[index]++;
+        });
+        this.#sum += value;
+        this.#count++;
+    }
+
+    /**
+     * Formats the metric.
+     * @returns {string[]} - Lines in the Prometheus text format
+     */
+    format() {
+        const lines = formatHeader(this.#name, this.#help, 'histogram');
+        this.#buckets.forEach((bound, index) => {
+            lines.push(`${this.#name}_bucket{le="${bound}"} ${this.#counts[index]}`);
+        });
+        lines.push(`${this.#name}_bucket{le="+Inf"} ${this.#count}`);
+        lines.push(`${this.#name}_sum ${this.#sum}`);
+        lines.push(`${this.#name}_count ${this.#count}`);
+        return lines;
+    }
+}
+
+/**
+ * Formats metrics in the Prometheus text format.
+ * @param {Object[]} metrics - Counters, gauges and histograms
+ * @returns {string} - The formatted metrics
+ */
+export function formatMetrics(metrics) {
+    return metrics.flatMap(metric => metric.format()).join('\n') + '\n';
+}
\ No newline at end of file
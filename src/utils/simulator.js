@@ -0,0 +1,1336 @@
+/**
+ * @module simulator
+ *
+ * @description Provides an offline stand-in for the Twilio voice platform, so that scripts can be exercised without
+ * a live account, real phone numbers or an Ngrok tunnel. A Simulator supplies a fake REST API client, which is passed
+ * to setup(), and plays back webhooks, status callbacks, &lt;Dial&gt; action callbacks and async AMD callbacks
+ * against the Express web server, signed with the Simulator's auth token.  Messages sent through the fake client
+ * are recorded, and their delivery is reported to their status callbacks.
+ *
+ * The behavior of the far end of each call is scripted with a FarEnd object, and the TwiML returned in response
+ * to each webhook is recorded by a SimulatedCall object, so that tests can make assertions about it.
+ *
+ * @example
+ * const sim = new Simulator({ serverUrl: 'http://localhost:3001' });
+ * await setup({ client: sim.client, serverUrl: sim.serverUrl, port: 3001, authToken: sim.authToken });
+ *
+ * sim.onCall('+16175551234', new FarEnd().ring(2).answer().press('1').hangup());
+ * const call = await Call.makeCall('+16175551234', '+16175550000');
+ * // ...script continues...
+ * const simCall = await sim.lastCall.ended;
+ * expect(simCall.responses[0]).toMatch(/<Gather/);
+ */
+
+import Twilio from 'twilio';
+import { WebSocket } from 'ws';
+
+const DEFAULT_AUTH_TOKEN = 'simulator_auth_token';
+const DEFAULT_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+const DEFAULT_RING_TIME = 10;       // Milliseconds per ring
+const DEFAULT_AMD_DELAY = 10;       // Milliseconds between async AMD callbacks
+const DEFAULT_RECORDING_DELAY = 10; // Milliseconds before a recording becomes available
+const DEFAULT_MESSAGE_DELAY = 10;   // Milliseconds between message status callbacks
+
+/*
+ * Generates a random SID with the given two-letter prefix.
+ */
+function makeSid(prefix) {
+    let sid = prefix;
+    for (let i = 0; i < 32; i++) {
+        sid += Math.floor(Math.random() * 16).toString(16);
+    }
+    return sid;
+}
+
+/*
+ * Replaces the XML entities that may be found in TwiML.
+ */
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses a TwiML document into a tree of elements, each of the form {name, attributes, children, text}.
+ * This is just sufficient for the TwiML generated by the VoiceResponse class; it is not a general XML parser.
+ * @param {string} twiml - TwiML document
+ * @returns {Object} - The root (&lt;Response&gt;) element, or undefined if the document is empty
+ */
+export function parseTwiml(twiml) {
+    const root = { children: [] };
+    const stack = [root];
+    const tokens = /<\?[^>]*\?>|<(\/?)([A-Za-z]+)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokens.exec(twiml)) !== null) {
+        const [token, closing, name, attributeText, selfClosing, text] = match;
+        const parent = stack[stack.length - 1];
+        if (token.startsWith('<?')) {
+            continue;
+        } else if (text !== undefined) {
+            if (text.trim()) parent.text = (parent.text || '') + unescapeXml(text);
+        } else if (closing) {
+            stack.pop();
+        } else {
+            const element = { name, attributes: {}, children: [], text: '' };
+            for (let [, key, value] of attributeText.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+                element.attributes[key] = unescapeXml(value);
+            }
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+    }
+    return root.children[0];
+}
+
+
+/**
+ * @classdesc
+ * Describes the behavior of the far end of a simulated call, as a sequence of steps. The steps up to and including
+ * answer(), busy(), noAnswer() or fail() determine how the call is set up. The remaining steps are consumed in turn
+ * as the TwiML returned by the script is executed: press(), speak() and silence() provide input to a &lt;Gather&gt;,
+ * leaveMessage() and silence() provide input to a &lt;Record&gt;, dialResult() provides the outcome of a &lt;Dial&gt;,
+ * referResult() provides the outcome of a &lt;Refer&gt;, stayInConference() sets how long the far end remains in
+ * a &lt;Dial&gt;&lt;Conference&gt;,
+ * queueResult() and waitInQueue() provide the outcome of an &lt;Enqueue&gt;, enterPayment() and silence() provide
+ * input to a &lt;Pay&gt;, and hangup() ends the call at that point. Audio set by streamAudio() is sent on any Media Stream that the script starts.
+ * If the steps run out when input is needed, the far end hangs up.
+ *
+ * All methods return the FarEnd object, so that they may be chained.
+ */
+export class FarEnd {
+    /**  Steps that describe the far end's behavior.  */
+    steps = [];
+
+    /**  Answering Machine Detection verdicts, in the order they will be reported.  */
+    amdVerdicts = [];
+
+    /**  Audio payloads to be sent on a Media Stream.  */
+    audio = [];
+
+    /**
+     * Lets the call ring.
+     * @param {number} [rings=1] - Number of rings
+     * @returns {FarEnd}
+     */
+    ring(rings = 1) {
+        this.steps.push({ type: 'ring', rings });
+        return this;
+    }
+
+    /**
+     * Answers the call.
+     * @returns {FarEnd}
+     */
+    answer() {
+        this.steps.push({ type: 'answer' });
+        return this;
+    }
+
+    /**
+     * Returns a busy signal.
+     * @returns {FarEnd}
+     */
+    busy() {
+        this.steps.push({ type: 'busy', sipResponseCode: 486 });
+        return this;
+    }
+
+    /**
+     * Lets the call ring out without being answered.
+     * @returns {FarEnd}
+     */
+    noAnswer() {
+        this.steps.push({ type: 'no-answer', sipResponseCode: 487 });
+        return this;
+    }
+
+    /**
+     * Fails the call.
+     * @param {number} [sipResponseCode=404] - SIP response code reported for the failure
+     * @returns {FarEnd}
+     */
+    fail(sipResponseCode = 404) {
+        this.steps.push({ type: 'failed', sipResponseCode });
+        return this;
+    }
+
+    /**
+     * Sets the Answering Machine Detection verdicts. For DetectMessageEnd, pass 'machine_start' followed by one
+     * of the 'machine_end_*' verdicts.
+     * @param {...string} verdicts - One or more of ['human', 'fax', 'machine_start', 'machine_end_beep',
+     * 'machine_end_silence', 'machine_end_other', 'unknown']
+     * @returns {FarEnd}
+     */
+    answeredBy(...verdicts) {
+        this.amdVerdicts = verdicts;
+        return this;
+    }
+
+    /**
+     * Sets the audio to be sent, one payload per 'media' message, when the script starts a Media Stream.
+     * @param {...Buffer} payloads - 8kHz μ-law audio payloads
+     * @returns {FarEnd}
+     */
+    streamAudio(...payloads) {
+        this.audio = payloads;
+        return this;
+    }
+
+    /**
+     * Presses keys in response to a &lt;Gather&gt;.
+     * @param {string} digits - The keys to press
+     * @returns {FarEnd}
+     */
+    press(digits) {
+        this.steps.push({ type: 'input', params: { Digits: digits } });
+        return this;
+    }
+
+    /**
+     * Speaks in response to a &lt;Gather&gt;.
+     * @param {string} speech - The speech recognition result
+     * @param {number} [confidence=0.9] - The speech recognition confidence level
+     * @param {Object[]} [partials] - Partial results, each of the form {stable, unstable}, reported before the
+     * final result if the &lt;Gather&gt; has a partialResultsCallback
+     * @returns {FarEnd}
+     */
+    speak(speech, confidence = 0.9, partials = []) {
+        this.steps.push({ type: 'input', params: { SpeechResult: speech, Confidence: String(confidence) }, partials });
+        return this;
+    }
+
+    /**
+     * Leaves a message in response to a &lt;Record&gt;.
+     * @param {number} [duration=5] - Length of the message in seconds
+     * @param {string} [finishOnKey='#'] - Key pressed to finish the recording, or 'hangup'
+     * @returns {FarEnd}
+     */
+    leaveMessage(duration = 5, finishOnKey = '#') {
+        this.steps.push({ type: 'message', duration, finishOnKey });
+        return this;
+    }
+
+    /**
+     * Provides no input to a &lt;Gather&gt; or &lt;Record&gt;, so that it times out.
+     * @returns {FarEnd}
+     */
+    silence() {
+        this.steps.push({ type: 'silence' });
+        return this;
+    }
+
+    /**
+     * Sets the outcome of a &lt;Dial&gt;. If not set, a dialed call is completed.
+     * @param {string} [status='completed'] - One of ['completed', 'answered', 'busy', 'no-answer', 'failed', 'canceled']
+     * @param {number} [duration=10] - Duration of the dialed call in seconds
+     * @returns {FarEnd}
+     */
+    dialResult(status = 'completed', duration = 10) {
+        this.steps.push({ type: 'dial', status, duration });
+        return this;
+    }
+
+    /**
+     * Sets how long the far end remains in a conference before hanging up. If not set, the far end remains in the
+     * conference until removed through the REST API, or until the conference ends.
+     * @param {number} [duration=Infinity] - Milliseconds before hanging up
+     * @returns {FarEnd}
+     */
+    stayInConference(duration = Infinity) {
+        this.steps.push({ type: 'conference', duration });
+        return this;
+    }
+
+    /**
+     * Sets the outcome of a &lt;Refer&gt;. If not set, the transfer is accepted.
+     * @param {string} [status='completed'] - The ReferCallStatus: ['completed', 'failed']
+     * @param {number} [sipResponseCode=202] - The SIP response code returned to the REFER
+     * @returns {FarEnd}
+     */
+    referResult(status = 'completed', sipResponseCode = 202) {
+        this.steps.push({ type: 'refer', status, sipResponseCode });
+        return this;
+    }
+
+    /**
+     * Sets the outcome of an &lt;Enqueue&gt;. If not set, the caller is bridged after one request to the wait URL.
+     * @param {string} [result='bridged'] - The QueueResult, e.g. 'bridged', 'hangup', 'queue-full', 'error'
+     * @param {number} [waitRounds=1] - Number of requests to the wait URL before the caller leaves the queue
+     * @returns {FarEnd}
+     */
+    queueResult(result = 'bridged', waitRounds = 1) {
+        this.steps.push({ type: 'queue', result, waitRounds });
+        return this;
+    }
+
+    /**
+     * Waits in a queue until the caller is dequeued through the REST API, or leaves the queue by means of
+     * &lt;Leave&gt;.
+     * @returns {FarEnd}
+     */
+    waitInQueue() {
+        this.steps.push({ type: 'queue', result: 'hangup', waitRounds: Infinity });
+        return this;
+    }
+
+    /**
+     * Enters card details in response to a &lt;Pay&gt;.
+     * @param {string} [result='success'] - The Result reported by the &lt;Pay&gt;, e.g. 'success', 
+     * 'too-many-failed-attempts', 'payment-connector-error'
+     * @param {string} [cardNumber='4111111111111111'] - The card number, which is reported masked
+     * @returns {FarEnd}
+     */
+    enterPayment(result = 'success', cardNumber = '4111111111111111') {
+        this.steps.push({ type: 'payment', result, cardNumber });
+        return this;
+    }
+
+    /**
+     * Hangs up the call.
+     * @returns {FarEnd}
+     */
+    hangup() {
+        this.steps.push({ type: 'hangup' });
+        return this;
+    }
+}
+
+
+/*
+ * Simulates a conference, reporting its events to the status callback given by the first participant to join.
+ */
+class SimulatedConference {
+    #simulator;
+    #sequenceNumber = 0;
+    #statusCallback;
+    #statusCallbackEvent = ['start', 'end'];
+    #reports = Promise.resolve();   // Status callbacks are sent one at a time, in order
+
+    sid = makeSid('CF');
+    friendlyName;
+    status = 'init';
+    participants = new Map();   // Indexed by call SID: {call, leave, label, muted, hold, coaching, endConferenceOnExit}
+
+    constructor(simulator, friendlyName) {
+        this.#simulator = simulator;
+        this.friendlyName = friendlyName;
+    }
+
+    get _properties() {
+        return { sid: this.sid, friendlyName: this.friendlyName, status: this.status };
+    }
+
+    /*
+     * Sends a conference status callback, if the event was asked for, once any earlier callbacks have been sent.
+     */
+    #report(event, participant) {
+        this.#reports = this.#reports.then(() => this.#send(event, participant));
+        return this.#reports;
+    }
+
+    async #send(event, participant) {
+        const category = event.replace(/^(conference|participant)-(un)?/, '');
+        if (!this.#statusCallback || !this.#statusCallbackEvent.includes(category)) return;
+        const params = {
+            AccountSid: this.#simulator.accountSid,
+            ConferenceSid: this.sid,
+            FriendlyName: this.friendlyName,
+            StatusCallbackEvent: event,
+            SequenceNumber: String(++this.#sequenceNumber),
+            Timestamp: new Date().toUTCString()
+        };
+        if (participant) {
+            Object.assign(params, {
+                CallSid: participant.call.sid,
+                Muted: String(participant.muted),
+                Hold: String(participant.hold),
+                Coaching: String(participant.coaching),
+                EndConferenceOnExit: String(participant.endConferenceOnExit),
+            });
+            if (participant.label) params.ParticipantLabel = participant.label;
+        }
+        await this.#simulator._post(this.#statusCallback, params);
+    }
+
+    /*
+     * Adds a call to the conference.  The leave function is called with the reason for leaving: 
+     * ['hangup', 'removed', 'ended'].
+     */
+    join(call, attributes, leave) {
+        if (!this.#statusCallback && attributes.statusCallback) {
+            this.#statusCallback = attributes.statusCallback;
+            const events = attributes.statusCallbackEvent || this.#statusCallbackEvent;
+            this.#statusCallbackEvent = typeof events === 'string' ? events.split(' ') : events;
+        }
+        const participant = {
+            call,
+            leave,
+            label: attributes.label,
+            muted: String(attributes.muted) === 'true',
+            hold: false,
+            coaching: false,
+            endConferenceOnExit: String(attributes.endConferenceOnExit) === 'true'
+        };
+        this.participants.set(call.sid, participant);
+        const reported = this.#report('participant-join', participant);
+        if (this.status === 'init') {
+            this.status = 'in-progress';
+            return this.#report('conference-start');
+        }
+        return reported;
+    }
+
+    /*
+     * Removes a call from the conference, ending the conference if it was the last participant.
+     */
+    async leave(callSid, reason) {
+        const participant = this.participants.get(callSid);
+        if (!participant) return;
+        this.participants.delete(callSid);
+        await this.#report('participant-leave', participant);
+        participant.leave(reason);
+        if (participant.endConferenceOnExit || this.participants.size === 0) {
+            await this.end();
+        }
+    }
+
+    /*
+     * Mutes, holds or coaches a participant from the REST API.
+     */
+    async update(callSid, params) {
+        const participant = this.participants.get(callSid);
+        if (!participant) throw new Error(`Participant ${callSid} not found`);
+        if ('muted' in params && params.muted !== participant.muted) {
+            participant.muted = params.muted;
+            await this.#report(params.muted ? 'participant-mute' : 'participant-unmute', participant);
+        }
+        if ('hold' in params && params.hold !== participant.hold) {
+            participant.hold = params.hold;
+            await this.#report(params.hold ? 'participant-hold' : 'participant-unhold', participant);
+        }
+        if ('coaching' in params && params.coaching !== participant.coaching) {
+            participant.coaching = params.coaching;
+            await this.#report('participant-modify', participant);
+        }
+        const { label, muted, hold, coaching } = participant;
+        return { callSid, conferenceSid: this.sid, label, muted, hold, coaching };
+    }
+
+    /*
+     * Ends the conference, removing all its participants.
+     */
+    async end() {
+        if (this.status === 'completed') return;
+        this.status = 'completed';
+        for (let [callSid, participant] of this.participants) {
+            this.participants.delete(callSid);
+            await this.#report('participant-leave', participant);
+            participant.leave('ended');
+        }
+        await this.#report('conference-end');
+    }
+}
+
+
+/**
+ * @classdesc
+ * Records the progress of a call through the Simulator.
+ */
+export class SimulatedCall {
+    #simulator;
+    #farEnd;
+    #step = 0;
+    #options;
+    #endedFulfill;
+    #recordings = new Map();    // Recordings started through the REST API, indexed by recording SID
+    #sockets = [];              // WebSockets for Media Streams
+    #dequeueUrl;                // URL to which the caller has been dequeued through the REST API
+    #conference;                // Conference that the call is currently in
+
+    /**  The call SID  */
+    sid;
+
+    /**  The destination number  */
+    to;
+
+    /**  The originating number  */
+    from;
+
+    /**  Direction of the call: ['inbound', 'outbound-api']  */
+    direction;
+
+    /**  The status of the call, as reported to the script  */
+    status;
+
+    /**  TwiML documents returned by the script, in the order they were received  */
+    responses = [];
+
+    /**  Messages sent by the script on Media Streams, in the order they were received  */
+    streamMessages = [];
+
+    /**  TwiML documents returned by queue wait scripts, in the order they were received  */
+    waitResponses = [];
+
+    /**  Promise that resolves to the SimulatedCall when the call has ended  */
+    ended;
+
+    /**  The error that stopped the simulation of the call, e.g. a failed webhook request, if any  */
+    error;
+
+    /*
+     * Do not call directly. Use Simulator.placeCall() or the Simulator's client.
+     */
+    constructor(simulator, farEnd, properties, options) {
+        this.#simulator = simulator;
+        this.#farEnd = farEnd;
+        this.#options = options;
+        Object.assign(this, properties);
+        this.sid = makeSid('CA');
+        this.ended = new Promise(fulfill => this.#endedFulfill = fulfill);
+    }
+
+    /**  True when the call has ended  */
+    get isEnded() {
+        return ['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(this.status);
+    }
+
+    /*
+     * Properties returned by the fake REST API.
+     */
+    get _properties() {
+        return { sid: this.sid, to: this.to, from: this.from, status: this.status, direction: this.direction };
+    }
+
+    /*
+     * Returns the next far end step, or undefined if there are none left.
+     */
+    #nextStep() {
+        return this.#farEnd.steps[this.#step++];
+    }
+
+    /*
+     * Returns the next far end step if it is of the given type, leaving it in place otherwise.
+     */
+    #nextStepOfType(type) {
+        const step = this.#farEnd.steps[this.#step];
+        if (step && step.type === type) {
+            this.#step++;
+            return step;
+        }
+    }
+
+    /*
+     * Standard parameters sent with every request.
+     */
+    #params(extra = {}) {
+        return {
+            AccountSid: this.#simulator.accountSid,
+            CallSid: this.sid,
+            From: this.from,
+            To: this.to,
+            Direction: this.direction,
+            CallStatus: this.status,
+            ApiVersion: '2010-04-01',
+            ...extra
+        };
+    }
+
+    /*
+     * Sends a status callback, if the script asked for this event.
+     */
+    async #statusCallback(event, extra) {
+        const { statusCallback, statusCallbackEvent } = this.#options;
+        if (statusCallback && (event === 'completed' || (statusCallbackEvent || []).includes(event))) {
+            await this.#simulator._post(statusCallback, this.#params(extra));
+        }
+    }
+
+    /*
+     * Ends the call, and sends the final status callback.
+     */
+    async #end(status, extra) {
+        if (this.isEnded) return;
+        this.status = status;
+        this.#recordings.forEach(recording => this.#stopRecording(recording));
+        this.#sockets.forEach(socket => this.#stopStream(socket));
+        if (this.#conference) {
+            await this.#conference.leave(this.sid, 'hangup');
+        }
+        await this.#statusCallback('completed', extra);
+        this.#endedFulfill(this);
+    }
+
+    /*
+     * Stops a recording started through the REST API, and reports that it is complete.
+     */
+    #stopRecording(recording) {
+        if (recording.status === 'stopped') return;
+        recording.status = 'stopped';
+        const duration = Math.round((Date.now() - recording.startTime) / 1000);
+        this.#reportRecording(recording.callback, { ...recording.params, RecordingDuration: String(duration) }, 
+                              'completed');
+    }
+
+    /*
+     * Reports partial speech results, if the <Gather> asked for them.
+     */
+    async #reportPartialResults(callback, partials = []) {
+        if (!callback) return;
+        for (let [index, partial] of partials.entries()) {
+            await this.#simulator._post(callback, this.#params({
+                StableSpeechResult: partial.stable || '',
+                UnstableSpeechResult: partial.unstable || '',
+                SequenceNumber: String(index + 1)
+            }));
+        }
+    }
+
+    /*
+     * Posts to a URL that returns TwiML, and executes the TwiML.
+     */
+    async #fetchTwiml(url, extra) {
+        if (this.isEnded) return;
+        const twiml = await this.#simulator._post(url, this.#params(extra));
+        if (this.isEnded) return;
+        this.responses.push(twiml);
+        await this.#execute(parseTwiml(twiml), url);
+    }
+
+    /*
+     * Executes a TwiML document, as far as the far end's behavior allows.
+     */
+    async #execute(response, url) {
+        for (let verb of response ? response.children : []) {
+            const action = verb.attributes.action || url;
+            let step;
+            switch (verb.name) {
+                case 'Gather':
+                    step = this.#nextStep();
+                    if (!step || step.type === 'hangup') {
+                        await this.#end('completed');
+                        return;
+                    } else if (step.type === 'input') {
+                        await this.#reportPartialResults(verb.attributes.partialResultsCallback, step.partials);
+                        await this.#fetchTwiml(action, step.params);
+                        return;
+                    }
+                    break;      // Silence, so carry on to the next verb
+
+                case 'Record':
+                    step = this.#nextStep();
+                    if (!step || step.type === 'hangup') {
+                        await this.#end('completed');
+                        return;
+                    } else if (step.type === 'message') {
+                        const recording = this.#makeRecording(step.duration);
+                        this.#reportRecording(verb.attributes.recordingStatusCallback, recording, 'completed');
+                        await this.#fetchTwiml(action, { ...recording, Digits: step.finishOnKey });
+                        return;
+                    }
+                    this.#reportRecording(verb.attributes.recordingStatusCallback, this.#makeRecording(0), 'absent');
+                    break;      // Silence, so carry on to the next verb
+
+                case 'Pay':
+                    step = this.#nextStep();
+                    if (!step || step.type === 'hangup') {
+                        await this.#end('completed');
+                        return;
+                    }
+                    await this.#pay(verb, action, step);
+                    return;
+
+                case 'Enqueue':
+                    await this.#enqueue(verb, action);
+                    return;
+
+                case 'Start':
+                    for (let noun of verb.children) {
+                        if (noun.name === 'Stream') this.#openStream(noun);
+                    }
+                    break;
+
+                case 'Connect':
+                    for (let noun of verb.children) {
+                        if (noun.name === 'Stream') {
+                            await this.#openStream(noun);       // Waits until the script closes the stream
+                            await this.#fetchTwiml(action);
+                            return;
+                        }
+                    }
+                    break;
+
+                case 'Dial':
+                    if (verb.children.some(noun => noun.name === 'Conference')) {
+                        await this.#dialConference(verb, action);
+                        return;
+                    }
+                    step = this.#nextStepOfType('dial') || { status: 'completed', duration: 10 };
+                    await this.#fetchTwiml(action, {
+                        DialCallSid: makeSid('CA'),
+                        DialCallStatus: step.status,
+                        DialCallDuration: String(step.duration)
+                    });
+                    return;
+
+                case 'Refer':
+                    step = this.#nextStepOfType('refer') || { status: 'completed', sipResponseCode: 202 };
+                    await this.#fetchTwiml(action, {
+                        ReferCallStatus: step.status,
+                        ReferSipResponseCode: String(step.sipResponseCode)
+                    });
+                    return;
+
+                case 'Redirect':
+                    await this.#fetchTwiml(verb.text || url);
+                    return;
+
+                case 'Reject':
+                    await this.#end(verb.attributes.reason === 'busy' ? 'busy' : 'no-answer');
+                    return;
+
+                case 'Hangup':
+                    await this.#end('completed');
+                    return;
+
+                default:
+                    break;      // <Say>, <Play>, <Pause>, etc.
+            }
+        }
+        await this.#end('completed');
+    }
+
+    /*
+     * Reports the capture of each item of card information to the status callback, then reports the result
+     * of the payment to the action URL.
+     */
+    async #pay(verb, action, step) {
+        if (step.type !== 'payment') {
+            await this.#fetchTwiml(action, { Result: 'input-timeout' });
+            return;
+        }
+        const cardParams = {
+            PaymentCardNumber: 'xxxx-xxxx-xxxx-' + step.cardNumber.slice(-4),
+            PaymentCardType: step.cardNumber.startsWith('4') ? 'visa' : 'mastercard'
+        };
+        const required = ['payment-card-number', 'expiration-date', 'security-code'];
+        if (verb.attributes.statusCallback) {
+            while (required.length > 0) {
+                const capture = required.shift();
+                await this.#simulator._post(verb.attributes.statusCallback, this.#params({
+                    ...cardParams,
+                    Capture: capture,
+                    Required: required.join(','),
+                    PartialResult: String(required.length > 0)
+                }));
+                if (this.isEnded) return;
+            }
+        }
+
+        const params = { ...cardParams, Result: step.result };
+        if (step.result !== 'success') {
+            params.PaymentError = `Payment failed: ${step.result}`;
+        } else if (Number(verb.attributes.chargeAmount) > 0) {
+            params.PaymentConfirmationCode = makeSid('ch_').slice(0, 20);
+        } else {
+            params.PaymentToken = makeSid('tok_').slice(0, 20);
+        }
+        await this.#fetchTwiml(action, params);
+    }
+
+    /*
+     * Executes <Dial><Conference>.  Once the call has left the conference, the <Dial> action
+     * URL is requested, unless the far end has hung up.
+     */
+    async #dialConference(verb, action) {
+        const noun = verb.children.find(noun => noun.name === 'Conference');
+        const reason = await this.#joinConference(noun.text, noun.attributes);
+        if (reason === 'hangup') {
+            await this.#end('completed');
+        } else {
+            await this.#fetchTwiml(action, { DialCallStatus: 'completed' });
+        }
+    }
+
+    /*
+     * Joins a conference, and returns the reason for leaving it: ['hangup', 'removed', 'ended'].
+     */
+    async #joinConference(friendlyName, attributes) {
+        const step = this.#nextStepOfType('conference') || { duration: Infinity };
+        const conference = this.#simulator._conference(friendlyName);
+        let timer;
+        const left = new Promise(fulfill => conference.join(this, attributes, fulfill));
+        this.#conference = conference;
+        if (step.duration !== Infinity) {
+            timer = setTimeout(() => conference.leave(this.sid, 'hangup'), step.duration);
+        }
+        const reason = await left;
+        clearTimeout(timer);
+        this.#conference = undefined;
+        return reason;
+    }
+
+    /*
+     * Waits in a queue, requesting the wait URL each round, then reports the result to the action URL.
+     */
+    async #enqueue(verb, action) {
+        const step = this.#nextStepOfType('queue') || { result: 'bridged', waitRounds: 1 };
+        const queue = this.#simulator._queue(verb.text);
+        const startTime = Date.now();
+        const queueTime = () => String(Math.round((Date.now() - startTime) / 1000));
+        let result = step.result;
+        queue.members.push(this);
+
+        for (let round = 0; round < step.waitRounds && !this.isEnded && !this.#dequeueUrl; round++) {
+            if (verb.attributes.waitUrl) {
+                const twiml = await this.#simulator._post(verb.attributes.waitUrl, this.#params({
+                    QueueSid: queue.sid,
+                    QueuePosition: String(queue.members.indexOf(this) + 1),
+                    QueueTime: queueTime(),
+                    AvgQueueTime: '0',
+                    CurrentQueueSize: String(queue.members.length),
+                    MaxQueueSize: String(queue.maxSize)
+                }));
+                this.waitResponses.push(twiml);
+                const response = parseTwiml(twiml);
+                if (response && response.children.some(verb => verb.name === 'Leave')) {
+                    result = 'leave';
+                    break;
+                }
+            }
+            await new Promise(fulfill => setTimeout(fulfill, this.#simulator.ringTime));
+        }
+        queue.members.splice(queue.members.indexOf(this), 1);
+
+        if (this.#dequeueUrl) {
+            const url = this.#dequeueUrl;
+            this.#dequeueUrl = undefined;
+            await this.#fetchTwiml(url);
+        } else {
+            await this.#fetchTwiml(action, { QueueResult: result, QueueSid: queue.sid, QueueTime: queueTime() });
+        }
+    }
+
+    /*
+     * Opens a Media Stream, and sends the far end's audio on it.  Returns a Promise that resolves 
+     * when the WebSocket is closed.
+     */
+    #openStream(noun) {
+        const url = noun.attributes.url;
+        const signature = Twilio.getExpectedTwilioSignature(this.#simulator.authToken, url, {});
+        const socket = new WebSocket(url, { headers: { 'X-Twilio-Signature': signature } });
+        const streamSid = makeSid('MZ');
+        const customParameters = {};
+        for (let parameter of noun.children) {
+            customParameters[parameter.attributes.name] = parameter.attributes.value;
+        }
+        this.#sockets.push(socket);
+
+        socket.on('open', () => {
+            let sequenceNumber = 1;
+            const send = message => socket.send(JSON.stringify({ 
+                ...message, 
+                sequenceNumber: String(sequenceNumber++), 
+                streamSid 
+            }));
+            socket.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+            send({
+                event: 'start',
+                start: {
+                    streamSid,
+                    accountSid: this.#simulator.accountSid,
+                    callSid: this.sid,
+                    tracks: noun.attributes.track === 'both_tracks' ? ['inbound', 'outbound']
+                          : noun.attributes.track === 'outbound_track' ? ['outbound'] : ['inbound'],
+                    customParameters,
+                    mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+                }
+            });
+            this.#farEnd.audio.forEach((payload, chunk) => send({
+                event: 'media',
+                media: { track: 'inbound', chunk: String(chunk + 1), timestamp: String(chunk * 20), 
+                         payload: Buffer.from(payload).toString('base64') }
+            }));
+        });
+
+        socket.on('message', data => {
+            const message = JSON.parse(data);
+            this.streamMessages.push(message);
+            if (message.event === 'mark') {
+                socket.send(JSON.stringify({ event: 'mark', streamSid, mark: message.mark }));
+            }
+        });
+
+        return new Promise(fulfill => socket.on('close', fulfill));
+    }
+
+    /*
+     * Stops a Media Stream when the call ends.
+     */
+    #stopStream(socket) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ event: 'stop', stop: { accountSid: this.#simulator.accountSid, callSid: this.sid } }));
+            socket.close();
+        }
+    }
+
+    /*
+     * Creates the properties of a recording.
+     */
+    #makeRecording(duration) {
+        const sid = makeSid('RE');
+        return {
+            RecordingSid: sid,
+            RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/${this.#simulator.accountSid}/Recordings/${sid}`,
+            RecordingDuration: String(duration)
+        };
+    }
+
+    /*
+     * Sends a recording status callback, once the recording has become available.  This may be after the call 
+     * has ended.
+     */
+    async #reportRecording(url, recording, status) {
+        if (!url) return;
+        await new Promise(fulfill => setTimeout(fulfill, this.#simulator.recordingDelay));
+        await this.#simulator._post(url, this.#params({ ...recording, RecordingStatus: status }));
+    }
+
+    /*
+     * Sends the async AMD callbacks, one after another.
+     */
+    async #reportAmd() {
+        for (let verdict of this.#farEnd.amdVerdicts) {
+            await new Promise(fulfill => setTimeout(fulfill, this.#simulator.amdDelay));
+            if (this.isEnded) return;
+            await this.#simulator._post(this.#options.asyncAmdStatusCallback, this.#params({
+                AnsweredBy: verdict,
+                MachineDetectionDuration: String(this.#simulator.amdDelay)
+            }));
+        }
+    }
+
+    /*
+     * Runs an outbound call, from the point at which it has been created by the REST API.
+     */
+    async _runOutbound() {
+        if (!await this.#setUp()) return;
+
+        const extra = {};
+        if (this.#options.asyncAmd) {
+            this.#reportAmd();
+        } else if (this.#options.machineDetection && this.#farEnd.amdVerdicts.length > 0) {
+            extra.AnsweredBy = this.#farEnd.amdVerdicts[this.#farEnd.amdVerdicts.length - 1];
+        }
+        await this.#fetchTwiml(this.#options.url, extra);
+    }
+
+    /*
+     * Runs an outbound call to a conference participant added through the REST API.
+     */
+    async _runParticipant(conference, attributes) {
+        if (!await this.#setUp()) return;
+        await this.#joinConference(conference.friendlyName, attributes);
+        await this.#end('completed');
+    }
+
+    /*
+     * Sets up an outbound call, as far as the far end's behavior allows.  Returns true if the call was answered.
+     */
+    async #setUp() {
+        if (this.isEnded) return false;     // Canceled while queued
+        this.status = 'initiated';
+        await this.#statusCallback('initiated');
+
+        for (let step = this.#nextStep(); !this.isEnded; step = this.#nextStep()) {
+            if (!step || step.type === 'answer') {
+                break;
+            } else if (step.type === 'ring') {
+                this.status = 'ringing';
+                await this.#statusCallback('ringing');
+                await new Promise(fulfill => setTimeout(fulfill, step.rings * this.#simulator.ringTime));
+            } else {
+                await this.#end(step.type, { SipResponseCode: String(step.sipResponseCode) });
+                return false;
+            }
+        }
+        if (this.isEnded) return false;     // Canceled while ringing
+
+        this.status = 'in-progress';
+        await this.#statusCallback('answered');
+        return true;
+    }
+
+    /*
+     * Runs the simulation of the call.  If it fails, the error is recorded, and the call is ended.
+     */
+    _run(simulation) {
+        setImmediate(() => simulation().catch(err => {
+            this.error = err;
+            if (!this.isEnded) this.status = 'failed';
+            this.#endedFulfill(this);
+        }));
+    }
+
+    /*
+     * Runs an inbound call.
+     */
+    async _runInbound() {
+        this.status = 'ringing';
+        await this.#fetchTwiml(this.#options.url);
+    }
+
+    /*
+     * Starts a recording from the REST API.
+     */
+    _createRecording(params) {
+        if (this.status !== 'in-progress') {
+            throw new Error(`Call ${this.sid} is not in progress`);
+        }
+        const recording = { 
+            params: this.#makeRecording(0), 
+            status: 'in-progress', 
+            startTime: Date.now(),
+            callback: params.recordingStatusCallback,
+        };
+        this.#recordings.set(recording.params.RecordingSid, recording);
+        if ((params.recordingStatusCallbackEvent || []).includes('in-progress')) {
+            this.#reportRecording(recording.callback, recording.params, 'in-progress');
+        }
+        return { sid: recording.params.RecordingSid, callSid: this.sid, status: recording.status };
+    }
+
+    /*
+     * Pauses, resumes or stops a recording from the REST API.
+     */
+    _updateRecording(sid, params) {
+        const recording = this.#recordings.get(sid);
+        if (!recording) {
+            throw new Error(`Recording ${sid} not found`);
+        }
+        if (params.status === 'stopped') {
+            this.#stopRecording(recording);
+        } else if (recording.status !== 'stopped') {
+            recording.status = params.status;
+        }
+        return { sid, callSid: this.sid, status: recording.status };
+    }
+
+    /*
+     * Handles a call update from the REST API.
+     */
+    _update(params) {
+        if (params.status === 'completed' || params.status === 'canceled') {
+            this.#end(this.status === 'in-progress' ? 'completed' : 'canceled');
+        }
+        return this._properties;
+    }
+
+    /*
+     * Dequeues the call from the REST API.
+     */
+    _dequeue(url) {
+        this.#dequeueUrl = url;
+    }
+}
+
+
+/**
+ * @classdesc
+ * Simulates the Twilio voice platform for a set of scripted far ends.
+ */
+export class Simulator {
+    #farEnds = new Map();
+    #phoneNumbers = new Map();
+    #queues = new Map();
+    #messageOutcomes = new Map();
+    #conferences = new Map();
+
+    /**  Auth token used to sign requests to the Express web server  */
+    authToken;
+
+    /**  Account SID reported in requests  */
+    accountSid;
+
+    /**  Public URL of the Express web server  */
+    serverUrl;
+
+    /**  Milliseconds per ring  */
+    ringTime;
+
+    /**  Milliseconds between async AMD callbacks  */
+    amdDelay;
+
+    /**  Milliseconds before a recording becomes available  */
+    recordingDelay;
+
+    /**  Milliseconds between message status callbacks  */
+    messageDelay;
+
+    /**  All calls handled by the Simulator, in the order they were made  */
+    calls = [];
+
+    /**  All messages sent through the Simulator, in the order they were sent: {sid, to, from, body, status}  */
+    messages = [];
+
+    /**  Fake REST API client, to be passed to setup()  */
+    client;
+
+    /**
+     * Constructor.
+     * @param {Object} [options] - Options
+     * @param {string} [options.serverUrl='http://localhost:3000'] - Public URL of the Express web server
+     * @param {string} [options.authToken] - Auth token used to sign requests
+     * @param {string[]} [options.phoneNumbers] - Phone numbers that belong to the simulated account
+     * @param {number} [options.ringTime=10] - Milliseconds per ring
+     * @param {number} [options.amdDelay=10] - Milliseconds between async AMD callbacks
+     * @param {number} [options.recordingDelay=10] - Milliseconds before a recording becomes available
+     * @param {number} [options.messageDelay=10] - Milliseconds between message status callbacks
+     */
+    constructor(options = {}) {
+        this.serverUrl = options.serverUrl || 'http://localhost:3000';
+        this.authToken = options.authToken || DEFAULT_AUTH_TOKEN;
+        this.accountSid = DEFAULT_ACCOUNT_SID;
+        this.ringTime = options.ringTime ?? DEFAULT_RING_TIME;
+        this.amdDelay = options.amdDelay ?? DEFAULT_AMD_DELAY;
+        this.recordingDelay = options.recordingDelay ?? DEFAULT_RECORDING_DELAY;
+        this.messageDelay = options.messageDelay ?? DEFAULT_MESSAGE_DELAY;
+        for (let phoneNumber of options.phoneNumbers || []) {
+            this.#phoneNumbers.set(phoneNumber, { sid: makeSid('PN'), phoneNumber, friendlyName: phoneNumber });
+        }
+        this.client = this.#makeClient();
+    }
+
+    /**  The most recent call handled by the Simulator  */
+    get lastCall() {
+        return this.calls[this.calls.length - 1];
+    }
+
+    /**
+     * Sets the behavior of the far end for outbound calls to a number. Once used, the behavior is discarded, so that
+     * successive calls to the same number may behave differently.
+     * @param {string} to - The called number
+     * @param {FarEnd} farEnd - Behavior of the called party
+     */
+    onCall(to, farEnd) {
+        if (!this.#farEnds.has(to)) this.#farEnds.set(to, []);
+        this.#farEnds.get(to).push(farEnd);
+    }
+
+    /**
+     * Sets the outcome of the next message sent to a number. If not set, the message is delivered.
+     * @param {string} to - The destination number
+     * @param {string} [status='delivered'] - The final status: ['delivered', 'undelivered', 'failed']
+     * @param {number} [errorCode] - The error code reported for an undelivered or failed message, e.g. 30003
+     */
+    onMessage(to, status = 'delivered', errorCode) {
+        if (!this.#messageOutcomes.has(to)) this.#messageOutcomes.set(to, []);
+        this.#messageOutcomes.get(to).push({ status, errorCode });
+    }
+
+    /**
+     * Places an inbound call to one of the simulated account's phone numbers, or else to the toolkit's
+     * '/inbound' webhook.
+     * @param {string} from - The calling number
+     * @param {string} to - The called number
+     * @param {FarEnd} farEnd - Behavior of the caller
+     * @returns {SimulatedCall} - The simulated call
+     */
+    placeCall(from, to, farEnd) {
+        const number = this.#phoneNumbers.get(to);
+        const call = new SimulatedCall(this, farEnd, { to, from, direction: 'inbound' }, {
+            url: (number && number.voiceUrl) || this.serverUrl + '/inbound',
+            statusCallback: number && number.statusCallback,
+        });
+        this.calls.push(call);
+        call._run(() => call._runInbound());
+        return call;
+    }
+
+    /*
+     * Returns the queue with the given name, creating it if necessary.
+     */
+    _queue(friendlyName, maxSize = 100) {
+        if (!this.#queues.has(friendlyName)) {
+            this.#queues.set(friendlyName, { sid: makeSid('QU'), friendlyName, maxSize, members: [] });
+        }
+        return this.#queues.get(friendlyName);
+    }
+
+    /*
+     * Returns the conference with the given name, creating it if it does not exist or has ended.
+     */
+    _conference(friendlyName) {
+        const conference = this.#conferences.get(friendlyName);
+        if (conference && conference.status !== 'completed') {
+            return conference;
+        }
+        const newConference = new SimulatedConference(this, friendlyName);
+        this.#conferences.set(friendlyName, newConference);
+        return newConference;
+    }
+
+    /*
+     * Reports the progress of a message to its status callback, as it is sent and then delivered (or not).
+     */
+    async #deliverMessage(message, statusCallback) {
+        const queue = this.#messageOutcomes.get(message.to);
+        const outcome = (queue && queue.shift()) || { status: 'delivered' };
+        const statuses = outcome.status === 'failed' ? ['failed'] : ['sent', outcome.status];
+        for (let status of statuses) {
+            await new Promise(fulfill => setTimeout(fulfill, this.messageDelay));
+            message.status = status;
+            if (!statusCallback) continue;
+            const params = {
+                AccountSid: this.accountSid,
+                MessageSid: message.sid,
+                SmsSid: message.sid,
+                MessageStatus: status,
+                SmsStatus: status,
+                To: message.to,
+                From: message.from,
+                ApiVersion: '2010-04-01'
+            };
+            if (outcome.errorCode && status === outcome.status) params.ErrorCode = String(outcome.errorCode);
+            await this._post(statusCallback, params);
+        }
+    }
+
+    /*
+     * Signs and posts a request to the Express web server, returning the response body.
+     */
+    async _post(url, params) {
+        const signature = Twilio.getExpectedTwilioSignature(this.authToken, url, params);
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+            body: new URLSearchParams(params)
+        });
+        return response.text();
+    }
+
+    /*
+     * Builds a fake REST API client, with just enough of the real client's shape for the toolkit.
+     */
+    #makeClient() {
+        const calls = sid => {
+            const call = this.calls.find(call => call.sid === sid);
+            const findCall = () => {
+                if (!call) throw new Error(`Call ${sid} not found`);
+                return call;
+            };
+            const recordings = recordingSid => ({
+                update: async params => findCall()._updateRecording(recordingSid, params)
+            });
+            recordings.create = async params => findCall()._createRecording(params);
+            return {
+                update: async params => findCall()._update(params),
+                recordings
+            };
+        };
+        calls.create = async options => {
+            if (!options.to || !options.from) {
+                throw new Error('Required parameters "to" and "from" are missing');
+            }
+            const queue = this.#farEnds.get(options.to);
+            const farEnd = (queue && queue.shift()) || new FarEnd().answer();
+            const call = new SimulatedCall(this, farEnd,
+                { to: options.to, from: options.from, direction: 'outbound-api', status: 'queued' }, options);
+            this.calls.push(call);
+            call._run(() => call._runOutbound());
+            return call._properties;
+        };
+
+        const incomingPhoneNumbers = sid => ({
+            update: async params => {
+                const number = [...this.#phoneNumbers.values()].find(number => number.sid === sid);
+                if (!number) throw new Error(`Phone number ${sid} not found`);
+                return Object.assign(number, params);
+            }
+        });
+        incomingPhoneNumbers.list = async params => {
+            const number = this.#phoneNumbers.get(params.phoneNumber);
+            return number ? [number] : [];
+        };
+
+        const queues = sid => {
+            const queue = [...this.#queues.values()].find(queue => queue.sid === sid);
+            if (!queue) throw new Error(`Queue ${sid} not found`);
+            const members = callSid => ({
+                update: async params => {
+                    const call = queue.members.find(call => call.sid === callSid);
+                    if (!call) throw new Error(`Call ${callSid} is not in queue ${queue.friendlyName}`);
+                    call._dequeue(params.url);
+                    return { callSid, queueSid: sid };
+                }
+            });
+            members.list = async () => queue.members.map((call, index) => 
+                ({ callSid: call.sid, queueSid: sid, position: index + 1, waitTime: 0, dateEnqueued: new Date() }));
+            return { members };
+        };
+        queues.list = async () => [...this.#queues.values()].map(({ sid, friendlyName, maxSize }) => 
+            ({ sid, friendlyName, maxSize }));
+        queues.create = async params => {
+            const { sid, friendlyName, maxSize } = this._queue(params.friendlyName, params.maxSize);
+            return { sid, friendlyName, maxSize };
+        };
+
+        const conferences = sid => {
+            const findConference = () => {
+                const conference = [...this.#conferences.values()].find(conference => conference.sid === sid);
+                if (!conference || conference.status === 'completed') throw new Error(`Conference ${sid} not found`);
+                return conference;
+            };
+            const participants = callSid => ({
+                update: async params => findConference().update(callSid, params),
+                remove: async () => {
+                    await findConference().leave(callSid, 'removed');
+                    return true;
+                }
+            });
+            participants.create = async options => {
+                const conference = sid.startsWith('CF') ? findConference() : this._conference(sid);
+                const queue = this.#farEnds.get(options.to);
+                const farEnd = (queue && queue.shift()) || new FarEnd().answer();
+                const call = new SimulatedCall(this, farEnd,
+                    { to: options.to, from: options.from, direction: 'outbound-api', status: 'queued' }, options);
+                this.calls.push(call);
+                call._run(() => call._runParticipant(conference, {
+                    statusCallback: options.conferenceStatusCallback,
+                    statusCallbackEvent: options.conferenceStatusCallbackEvent,
+                    label: options.label,
+                    muted: options.muted,
+                    endConferenceOnExit: options.endConferenceOnExit
+                }));
+                return { callSid: call.sid, conferenceSid: conference.sid, label: options.label, status: 'queued' };
+            };
+            return {
+                participants,
+                update: async params => {
+                    const conference = findConference();
+                    if (params.status === 'completed') await conference.end();
+                    return conference._properties;
+                }
+            };
+        };
+
+        const messages = {
+            create: async options => {
+                if (!options.to || !(options.from || options.messagingServiceSid)) {
+                    throw new Error('Required parameters "to" and "from" are missing');
+                }
+                const message = { sid: makeSid('SM'), to: options.to, from: options.from, body: options.body, 
+                                  status: 'queued' };
+                this.messages.push(message);
+                setImmediate(() => this.#deliverMessage(message, options.statusCallback));
+                return { ...message, errorCode: null };
+            }
+        };
+
+        return { accountSid: this.accountSid, calls, incomingPhoneNumbers, queues, messages, conferences };
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * @module store
+ *
+ * @description Provides call-state stores, which save the properties and child calls of each call in progress,
+ * so that a call can be recovered if its webhooks arrive at a process that has no record of it, for example
+ * after a restart, or when several servers share the same store.  Pass a store to setup() to use it.
+ *
+ * A store is any object with the async methods get(sid), set(sid, state) and delete(sid), so other storage,
+ * such as a database, may be plugged in.  The state of a call is a JSON-serializable object of the form
+ * {properties, childCalls}.  The toolkit only stores calls whose SIDs are well-formed, but as the SID comes 
+ * from the request, a store which uses it to name a file or key should check it again, with isCallSid().
+ *
+ * @example
+ * await setup({ store: new FileStore('./calls'), recoveryScript });
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Checks that a string is a well-formed call SID, i.e. 'CA' followed by 32 hex digits.
+ * @param {string} sid - The string to check
+ * @returns {boolean} - True if it is a call SID
+ */
+export function isCallSid(sid) {
+    return typeof sid === 'string' && /^CA[0-9a-f]{32}$/.test(sid);
+}
+
+/**
+ * @classdesc
+ * Keeps call state in memory.  This is the default store: it does not survive a restart.
+ */
+export class MemoryStore {
+    #calls = new Map();
+
+    /**
+     * Gets the state of a call.
+     * @param {string} sid - The call SID
+     * @returns {Promise} - Promise that resolves to the state, or undefined if the call is not in the store
+     */
+    async get(sid) {
+        return this.#calls.get(sid);
+    }
+
+    /**
+     * Saves the state of a call.
+     * @param {string} sid - The call SID
+     * @param {Object} state - The state of the call
+     * @returns {Promise} - Promise that resolves once the state has been saved
+     */
+    async set(sid, state) {
+        this.#calls.set(sid, structuredClone(state));
+    }
+
+    /**
+     * Removes a call from the store.
+     * @param {string} sid - The call SID
+     * @returns {Promise} - Promise that resolves once the call has been removed
+     */
+    async delete(sid) {
+        this.#calls.delete(sid);
+    }
+}
+
+/**
+ * @classdesc
+ * Keeps call state in a directory, with one JSON file per call.  The directory is created if necessary.
+ */
+export class FileStore {
+    #directory;
+    #writes = Promise.resolve();    // Writes are made one at a time, so that they are applied in order
+
+    /**
+     * Constructor.
+     * @param {string} directory - The directory in which to keep the call state files
+     */
+    constructor(directory) {
+        this.#directory = directory;
+    }
+
+    /*
+     * Returns the path of the file for a call.  The SID is checked, so that it cannot name a file elsewhere.
+     */
+    #file(sid) {
+        if (!isCallSid(sid)) {
+            throw new TypeError(`Invalid call SID ${JSON.stringify(sid)}`);
+        }
+        return path.join(this.#directory, `${sid}.json`);
+    }
+
+    /*
+     * Queues a write operation behind any that are already in progress.
+     */
+    #write(operation) {
+        this.#writes = this.#writes.catch(() => {}).then(operation);
+        return this.#writes;
+    }
+
+    /**
+     * Gets the state of a call.
+     * @param {string} sid - The call SID
+     * @returns {Promise} - Promise that resolves to the state, or undefined if the call is not in the store
+     */
+    async get(sid) {
+        await this.#writes.catch(() => {});
+        try {
+            return JSON.parse(await fs.readFile(this.#file(sid), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return undefined;
+            throw err;
+        }
+    }
+
+    /**
+     * Saves the state of a call.
+     * @param {string} sid - The call SID
+     * @param {Object} state - The state of the call
+     * @returns {Promise} - Promise that resolves once the state has been saved
+     */
+    set(sid, state) {
+        const json = JSON.stringify(state);
+        return this.#write(async () => {
+            await fs.mkdir(this.#directory, { recursive: true });
+            await fs.writeFile(this.#file(sid), json);
+        });
+    }
+
+    /**
+     * Removes a call from the store.
+     * @param {string} sid - The call SID
+     * @returns {Promise} - Promise that resolves once the call has been removed
+     */
+    delete(sid) {
+        return this.#write(() => fs.rm(this.#file(sid), { force: true }));
+    }
+}
\ No newline at end of file
@@ -15,6 +15,11 @@
  *     if (err instanceof TimeoutException) console.log(err.message);
  *     else throw err;
  * }
+ * 
+ * @example
+ * const timeout = new Timeout(30000, "No answer", { signal: controller.signal });
+ * // later, if no longer needed
+ * timeout.clear();
  */
 
 /**
@@ -30,22 +35,56 @@ export class TimeoutException extends Error {}
 export class Timeout {
     #promise;
     #timerId;
+    #running = true;
+    #detach;            // Removes the abort listener, if any
 
     /**
      * Constructor.
      * @param {int} delay - Delay in milliseconds
      * @param {string} reason - Message passed to TimeoutException; the Promise will be rejected, if set. 
      *                          If omitted, the Promise will be fulfilled.
+     * @param {Object} [options] - Options
+     * @param {AbortSignal} [options.signal] - Signal which clears the timer, and rejects the Promise with the 
+     *                          signal's reason, if it is aborted before the Timeout expires
      */
-    constructor(delay, reason) {
+    constructor(delay, reason, options={}) {
+        const { signal } = options;
         this.#promise = new Promise((fulfill, reject) => {       
+            const abort = () => {
+                if (this.clear()) reject(signal.reason);
+            };
+            if (signal?.aborted) {
+                this.#running = false;
+                reject(signal.reason);
+                return;
+            }
+            if (signal) {
+                signal.addEventListener('abort', abort, { once: true });
+                this.#detach = () => signal.removeEventListener('abort', abort);
+            }
             this.#timerId = setTimeout(() => {
+                this.#running = false;
+                this.#detach?.();
                 if (reason === undefined) fulfill();
                 else reject(new TimeoutException(reason));
             }, delay);
         });
     }
 
+    /**
+     * Clears the timer, so that the Timeout never expires.  A Promise returned by wait() will then never settle,
+     * whereas one returned by apply() will settle with the operation.
+     * @returns {boolean} - True if the timer was cleared, or false if it had already expired, been cleared, 
+     * or been aborted
+     */
+    clear() {
+        if (!this.#running) return false;
+        this.#running = false;
+        clearTimeout(this.#timerId);
+        this.#detach?.();
+        return true;
+    }
+
     /**
      * Applies the timeout to some operation that will be completed when its Promise is fulfilled.  
      * If the operation times out, the Timeout will reject with a TimeoutException.
@@ -57,11 +96,11 @@ export class Timeout {
             this.#promise, 
             promise.then(       // Make sure we clear the timeout
                 result => {
-                    clearTimeout(this.#timerId);
+                    this.clear();
                     return result;
                 },
                 err => {
-                    clearTimeout(this.#timerId);
+                    this.clear();
                     return Promise.reject(err);     // "Re-throw" the exception
                 }
             )
@@ -11,12 +11,13 @@ import VoiceResponse from 'twilio/lib/twiml/VoiceResponse.js';
 
 // Support for these TwiML verbs has not yet been added.
 const forbiddenVerbs = [
-    'connect', 'echo', 'enqueue', 'leave', 'pay', 'record', 'redirect', 'refer', 'siprec', 'sms', 'stream'
+    'connect', 'echo', 'enqueue', 'leave', 'redirect', 'siprec', 'sms', 'stream'
 ];
 
-// As above, but allow <Redirect> for use within the call module.
+// As above, but allow <Redirect>, <Connect> for Media Streams, and <Enqueue> and <Leave> for queues,
+// for use within the toolkit's modules.
 const forbiddenVerbsInternal = [
-    'connect', 'echo', 'enqueue', 'leave', 'pay', 'record', 'refer', 'siprec', 'sms', 'stream'
+    'echo', 'siprec', 'sms', 'stream'
 ];
 
 // These attributes, found principally in <Gather>, <Dial> and <Dial>'s nouns, and in Call.makeCall(),
@@ -43,6 +44,8 @@ export const forbiddenAttributes = [
 ];
 
 // Defines the structure of a Proxy object which validates and overrides TwiML attributes.
+// The urls property maps the attributes to be overridden onto the keys used by getUrl().
+// The switches property maps boolean pseudo-attributes onto URL attributes that are set when they are true.
 const proxyElements = {
     disallowed: forbiddenVerbs,
     errorMessage: ' is not currently supported',
@@ -50,13 +53,26 @@ const proxyElements = {
         { 
             name: 'gather',
             disallowed: forbiddenAttributes,
-            actionUrl: 'webhook',
+            urls: { action: 'webhook' },
+            switches: { partial: { partialResultsCallback: 'partial' } },
             errorMessage: ' attribute not allowed in <Gather>',
         },
+        {
+            name: 'record',
+            disallowed: forbiddenAttributes,
+            urls: { action: 'webhook', recordingStatusCallback: 'recording' },
+            errorMessage: ' attribute not allowed in <Record>',
+        },
+        {
+            name: 'pay',
+            disallowed: forbiddenAttributes,
+            urls: { action: 'webhook', statusCallback: 'pay' },
+            errorMessage: ' attribute not allowed in <Pay>',
+        },
         {
             name: 'dial',
             disallowed: forbiddenAttributes,
-            actionUrl: 'dial',
+            urls: { action: 'dial' },
             errorMessage: ' attribute not allowed in <Dial>',
             proxy: [
                 {
@@ -77,6 +93,7 @@ const proxyElements = {
                 {
                     name: 'conference',
                     disallowed: forbiddenAttributes,
+                    urls: { statusCallback: 'conference' },
                     errorMessage: ' attribute not allowed in <Conference>',
                 },
                 {
@@ -85,7 +102,32 @@ const proxyElements = {
                     errorMessage: ' attribute not allowed in <Queue>',
                 },
             ]
-        }
+        },
+        {
+            name: 'refer',
+            disallowed: forbiddenAttributes,
+            urls: { action: 'webhook' },
+            errorMessage: ' attribute not allowed in <Refer>',
+            proxy: [
+                {
+                    name: 'sip',
+                    disallowed: forbiddenAttributes,
+                    errorMessage: ' attribute not allowed in <Sip>',
+                },
+            ]
+        },
+        {
+            name: 'enqueue',
+            disallowed: forbiddenAttributes,
+            urls: { action: 'webhook' },
+            errorMessage: ' attribute not allowed in <Enqueue>',
+        },
+        {
+            name: 'connect',
+            disallowed: forbiddenAttributes,
+            urls: { action: 'webhook' },
+            errorMessage: ' attribute not allowed in <Connect>',
+        },
     ]
 }
 
@@ -119,17 +161,35 @@ function getProxy(obj, node) {
                             throw new TypeError(`${attribute}${node.errorMessage}`);
                     }
                 }
-                if (node.actionUrl) {
-                    const action = getUrl(node.actionUrl);
+                if (node.switches && args.length > 0 && typeof args[0] === 'object') {
+                    for (let attribute in node.switches) {
+                        if (attribute in args[0]) {
+                            const enabled = args[0][attribute];
+                            delete args[0][attribute];
+                            if (!enabled) continue;
+                            for (let urlAttribute in node.switches[attribute]) {
+                                args[0][urlAttribute] = getUrl(node.switches[attribute][urlAttribute]);
+                            }
+                        }
+                    }
+                }
+                if (node.urls) {
+                    const urls = {};
+                    for (let attribute in node.urls) {
+                        urls[attribute] = getUrl(node.urls[attribute]);
+                    }
                     if (args.length == 0) {
-                        args = [{ action }]
+                        args = [urls]
                     } else if (typeof args[0] === 'object') {
-                        args[0].action = action;
+                        Object.assign(args[0], urls);
                     } else if (typeof args[0] === 'string') {
-                        args = [{ action }, args[0]];
+                        args = [urls, args[0]];
                     }
                 }
-                return Reflect.apply(target, receiver, args);
+                const result = Reflect.apply(target, receiver, args);
+
+                // Validate and override the attributes of nested nouns, such as <Dial><Conference>
+                return node.proxy ? getProxy(result, { disallowed: [], proxy: node.proxy }) : result;
             }
         }
     )